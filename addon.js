@@ -10,13 +10,26 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const crypto = require('crypto');
 const { addonBuilder, getRouter } = require('stremio-addon-sdk');
+const landingTemplate = require('stremio-addon-sdk/src/landingTemplate');
 const express = require('express');
-const { fetch } = require('undici');
 const { getVideoAndSubtitles, toStremioStreams } = require('./scraper');
 const { findContent, isValidImdbId } = require('./search');
+const { parseStremioId } = require('./ids');
+const { getManifestConfig, normalizeSettings } = require('./settings');
+const { limitVariants, selectVariant, setPreferredAudio } = require('./hls');
+const { getCatalog, getManifestCatalogs } = require('./catalog');
+const { getMeta } = require('./meta');
+const { createAdminRouter } = require('./admin');
+const { createSingleFlight } = require('./singleflight');
+const { prefetchNextEpisode } = require('./prefetch');
+const { getSiteBase, startDomainMonitor } = require('./domains');
+const { request } = require('./http');
+const { signUrl, isSignedUrl } = require('./signing');
+const { isProxyAlways, startProxyPool } = require('./proxy');
 const { createLogger } = require('./logger');
-const { ContentNotFoundError, ScrapingError, ValidationError, NetworkError, TimeoutError } = require('./errors');
+const { ContentNotFoundError, ScrapingError, ValidationError, NetworkError, TimeoutError, CircuitOpenError, RateLimitError } = require('./errors');
 
 const log = createLogger('Addon');
 
@@ -29,54 +42,91 @@ const manifest = {
     version: '1.2.0',
     name: 'HDFilmCehennemi',
     description: 'HDFilmCehennemi üzerinden film ve dizi izleyin. Türkçe dublaj ve altyazı desteği.',
-    logo: 'https://www.hdfilmcehennemi.ws/favicon.ico',
-    resources: ['stream'],
+    logo: `${getSiteBase()}/favicon.ico`,
+    resources: [
+        'catalog',
+        'stream',
+        { name: 'meta', types: ['movie', 'series'], idPrefixes: ['hdfc:'] }
+    ],
     types: ['movie', 'series'],
-    catalogs: [],
-    idPrefixes: ['tt'],
+    catalogs: getManifestCatalogs(),
+    idPrefixes: ['tt', 'hdfc:'],
+    config: getManifestConfig(),
     behaviorHints: {
-        configurable: false,
+        configurable: true,
         configurationRequired: false
     }
 };
 
 const builder = new addonBuilder(manifest);
 
+// Concurrent requests for the same title (several devices, duplicate Stremio requests) share one lookup
+const inflightStreams = createSingleFlight('stream');
+
+/**
+ * Find content and extract its sources
+ * Coalesced by type, ID and preferred source - the part of the settings that changes the result.
+ * Prefetches coalesce separately, so a user never waits on a background-priority job.
+ * @param {'movie'|'series'} type - Content type
+ * @param {string} id - Stremio ID
+ * @param {{baseId: string, season: string|null, episode: string|null}} parsed - Parsed ID
+ * @param {string} preferredSource - Preferred source from user settings
+ * @param {{prefetch?: boolean}} [options] - Called by the background prefetch
+ * @returns {Promise<{content: Object, result: Object}>}
+ */
+function resolveStream(type, id, parsed, preferredSource, options = {}) {
+    const key = `${options.prefetch ? 'prefetch:' : ''}${type}:${id}|${preferredSource}`;
+
+    return inflightStreams.run(key, async () => {
+        // Find content on HDFilmCehennemi
+        const content = await findContent(type, parsed.baseId, parsed.season, parsed.episode);
+
+        log.info(`Content found: ${content.url}`);
+
+        // Extract video and subtitle data
+        const result = await getVideoAndSubtitles(content.url, { preferredSource });
+
+        return { content, result };
+    });
+}
+
 /**
  * Stream handler - Find content on HDFilmCehennemi and return streams
  */
-builder.defineStreamHandler(async ({ type, id }) => {
+builder.defineStreamHandler(async ({ type, id, config }) => {
     const startTime = Date.now();
+    const settings = normalizeSettings(config);
     log.info(`Stream request: ${type} - ${id}`);
+    log.debug(`Settings: ${JSON.stringify(settings)}`);
 
     try {
-        // Parse IMDb ID
-        const [imdbId, season, episode] = id.split(':');
+        // Parse IMDb ID or site-native ID (hdfc:<slug>)
+        const parsed = parseStremioId(id);
 
         // Validate input
-        if (!imdbId) {
-            log.warn('Missing IMDb ID');
+        if (!parsed) {
+            log.warn(`Unsupported ID format: ${id}`);
             return { streams: [] };
         }
 
-        if (!isValidImdbId(imdbId)) {
-            log.warn(`Invalid IMDb ID format: ${imdbId}`);
+        if (parsed.scheme === 'imdb' && !isValidImdbId(parsed.baseId)) {
+            log.warn(`Invalid IMDb ID format: ${parsed.baseId}`);
             return { streams: [] };
         }
 
-        // Find content on HDFilmCehennemi
-        const content = await findContent(type, imdbId, season, episode);
+        const { content, result } = await resolveStream(type, id, parsed, settings.source);
 
-        log.info(`Content found: ${content.url}`);
-
-        // Extract video and subtitle data
-        const result = await getVideoAndSubtitles(content.url);
+        // Convert to Stremio format with proxy URL for TV compatibility (unless direct URLs are requested)
+        const proxyBase = settings.streamMode === 'proxy' ? BASE_URL : null;
+        const streams = toStremioStreams(result, content.title, proxyBase, settings);
 
-        // Convert to Stremio format with proxy URL for TV compatibility
-        const streams = toStremioStreams(result, content.title, BASE_URL);
+        // Users almost always play the next episode - resolve it in the background
+        if (type === 'series') {
+            prefetchNextEpisode(parsed, (nextId, nextParsed) => resolveStream(type, nextId, nextParsed, settings.source, { prefetch: true }));
+        }
 
         const elapsed = Date.now() - startTime;
-        log.info(`Returning ${streams.streams.length} stream(s) for ${imdbId} (${elapsed}ms)`);
+        log.info(`Returning ${streams.streams.length} stream(s) for ${id} (${elapsed}ms)`);
 
         return streams;
 
@@ -89,7 +139,7 @@ builder.defineStreamHandler(async ({ type, id }) => {
                 name: 'HDFilmCehennemi',
                 title: `⚠️ ${title}`,
                 description: description,
-                externalUrl: 'https://www.hdfilmcehennemi.ws'
+                externalUrl: getSiteBase()
             }]
         });
 
@@ -115,6 +165,22 @@ builder.defineStreamHandler(async ({ type, id }) => {
             );
         }
 
+        if (error instanceof CircuitOpenError) {
+            log.warn(`Circuit open for ${error.host}, failing fast (${elapsed}ms)`);
+            return errorStream(
+                'Geçici Olarak Kullanılamıyor',
+                'Kaynak şu anda yanıt vermiyor. Birkaç dakika sonra tekrar deneyin.'
+            );
+        }
+
+        if (error instanceof RateLimitError) {
+            log.warn(`Rate limited: ${error.url}, retry after ${error.retryAfter}ms (${elapsed}ms)`);
+            return errorStream(
+                'Çok Fazla İstek',
+                'Kaynağa şu anda çok fazla istek gidiyor. Biraz bekleyip tekrar deneyin.'
+            );
+        }
+
         if (error instanceof TimeoutError) {
             log.error(`Timeout: ${error.url} (${elapsed}ms)`);
             return errorStream(
@@ -140,6 +206,65 @@ builder.defineStreamHandler(async ({ type, id }) => {
     }
 });
 
+/**
+ * Catalog handler - Browse HDFilmCehennemi listing pages
+ */
+builder.defineCatalogHandler(async ({ type, id, extra }) => {
+    const startTime = Date.now();
+    log.info(`Catalog request: ${type} - ${id}`);
+
+    try {
+        const catalog = await getCatalog(type, id, extra);
+
+        const elapsed = Date.now() - startTime;
+        log.info(`Returning ${catalog.metas.length} item(s) for ${id} (${elapsed}ms)`);
+
+        // Listings change slowly - let Stremio cache them for a while
+        return { ...catalog, cacheMaxAge: 30 * 60 };
+
+    } catch (error) {
+        const elapsed = Date.now() - startTime;
+
+        if (error instanceof ValidationError) {
+            log.warn(`Validation error: ${error.message} (${elapsed}ms)`);
+        } else {
+            log.error(`Catalog error: ${error.message} (${elapsed}ms)`);
+        }
+
+        return { metas: [] };
+    }
+});
+
+/**
+ * Meta handler - Build meta (with episode lists) from HDFilmCehennemi pages
+ */
+builder.defineMetaHandler(async ({ type, id }) => {
+    const startTime = Date.now();
+    log.info(`Meta request: ${type} - ${id}`);
+
+    try {
+        const result = await getMeta(type, id);
+
+        const elapsed = Date.now() - startTime;
+        log.info(`Returning meta for ${id} (${elapsed}ms)`);
+
+        return { ...result, cacheMaxAge: 60 * 60 };
+
+    } catch (error) {
+        const elapsed = Date.now() - startTime;
+
+        if (error instanceof ValidationError) {
+            log.warn(`Validation error: ${error.message} (${elapsed}ms)`);
+        } else if (error instanceof ContentNotFoundError) {
+            log.info(`Meta not found: ${error.query} (${elapsed}ms)`);
+        } else {
+            log.error(`Meta error: ${error.message} (${elapsed}ms)`);
+        }
+
+        return { meta: null };
+    }
+});
+
 // Create Express app with Stremio addon router
 const app = express();
 
@@ -150,6 +275,50 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Configure page - per-install settings form rendered from manifest.config
+ * Also served under an existing config segment so installed addons can be reconfigured
+ */
+const configureHTML = landingTemplate(manifest);
+app.get(['/configure', '/:config/configure'], (req, res) => {
+    res.set('Content-Type', 'text/html');
+    res.send(configureHTML);
+});
+
+/**
+ * Answer a failed proxy request with the upstream status where there is one
+ * @param {express.Response} res - Response
+ * @param {Error} error - Error from the upstream request
+ * @param {string} message - Body for upstream HTTP errors
+ */
+function sendProxyError(res, error, message) {
+    if (res.headersSent) {
+        res.end();
+    } else if (error instanceof CircuitOpenError) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+        res.status(503).send('Upstream temporarily unavailable');
+    } else if (error instanceof RateLimitError) {
+        res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+        res.status(429).send('Upstream rate limited');
+    } else if (error instanceof NetworkError && error.statusCode) {
+        res.status(error.statusCode).send(message);
+    } else if (error instanceof TimeoutError) {
+        res.status(504).send('Proxy timeout');
+    } else {
+        res.status(500).send('Proxy error');
+    }
+}
+
+/**
+ * Get the playback session of a /proxy request, or start a new one
+ * Upstream requests of one session share a proxy when they need one.
+ * @param {string} [value] - Session ID from the query
+ * @returns {string}
+ */
+function getPlaybackSession(value) {
+    return /^[a-f0-9]{16}$/.test(value || '') ? value : crypto.randomBytes(8).toString('hex');
+}
+
 /**
  * M3U8 Proxy Endpoint - Fetches m3u8 with proper Referer header
  * Rewrites all URLs to go through our proxy for full TV compatibility
@@ -157,10 +326,16 @@ app.use((req, res, next) => {
  * Query params:
  * - url: Base64-encoded m3u8 URL
  * - ref: Base64-encoded Referer URL
+ * - q: Optional max quality (variant height) from user settings
+ * - v: Optional single quality (variant height) to serve
+ * - a: Optional preferred audio ('dub' or 'original') to mark as DEFAULT
+ * - s: Optional playback session (a new one is started otherwise)
+ * - sig: Signature of url (see signing) - only signed URLs may fall back to proxies
  */
 app.get('/proxy/m3u8', async (req, res) => {
     try {
-        const { url, ref } = req.query;
+        const { url, ref, q, v, a } = req.query;
+        const session = getPlaybackSession(req.query.s);
 
         if (!url) {
             return res.status(400).send('Missing url parameter');
@@ -169,6 +344,7 @@ app.get('/proxy/m3u8', async (req, res) => {
         // Decode base64 parameters
         const videoUrl = Buffer.from(url, 'base64').toString('utf-8');
         const referer = ref ? Buffer.from(ref, 'base64').toString('utf-8') : '';
+        const signed = isSignedUrl(videoUrl, req.query.sig);
 
         log.debug(`Proxy m3u8: ${videoUrl.substring(0, 80)}...`);
 
@@ -176,26 +352,30 @@ app.get('/proxy/m3u8', async (req, res) => {
         const baseUrl = videoUrl.substring(0, videoUrl.lastIndexOf('/') + 1);
 
         // Fetch m3u8 with Referer header
-        const response = await fetch(videoUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Referer': referer,
-                'Origin': referer ? new URL(referer).origin : ''
-            }
-        });
+        const response = await request(videoUrl, { referer, policy: 'stream', session, allowProxy: signed });
+        let content = await response.text();
 
-        if (!response.ok) {
-            log.error(`Proxy fetch failed: ${response.status}`);
-            return res.status(response.status).send('Failed to fetch m3u8');
+        // Pin a single quality, or apply the user's max quality to the master playlist
+        const variantHeight = parseInt(v);
+        const maxQuality = parseInt(q);
+        if (variantHeight > 0) {
+            content = selectVariant(content, variantHeight);
+        } else if (maxQuality > 0) {
+            content = limitVariants(content, maxQuality);
         }
 
-        let content = await response.text();
+        // Make the preferred audio the default track (TVs often have no track picker)
+        if (a === 'dub' || a === 'original') {
+            content = setPreferredAudio(content, a);
+        }
 
         // Helper to create proxied URL
         const proxyUrl = (originalUrl) => {
             const fullUrl = originalUrl.startsWith('http') ? originalUrl : baseUrl + originalUrl;
             const encodedUrl = Buffer.from(fullUrl).toString('base64');
-            return `${BASE_URL}/proxy/stream?url=${encodedUrl}&ref=${ref}`;
+            // URLs from a signed playlist are ours too
+            const sig = signed ? `&sig=${signUrl(fullUrl)}` : '';
+            return `${BASE_URL}/proxy/stream?url=${encodedUrl}&ref=${ref}&s=${session}${sig}`;
         };
 
         // Rewrite ALL URLs to go through our proxy
@@ -227,17 +407,19 @@ app.get('/proxy/m3u8', async (req, res) => {
 
     } catch (error) {
         log.error(`Proxy m3u8 error: ${error.message}`);
-        res.status(500).send('Proxy error');
+        sendProxyError(res, error, 'Failed to fetch m3u8');
     }
 });
 
 /**
  * Stream Proxy Endpoint - Proxies video segments with Referer header
  * Handles both m3u8 sub-playlists and .ts/.m4s segments
+ * Query params: url, ref, s and sig as for /proxy/m3u8
  */
 app.get('/proxy/stream', async (req, res) => {
     try {
         const { url, ref } = req.query;
+        const session = getPlaybackSession(req.query.s);
 
         if (!url) {
             return res.status(400).send('Missing url parameter');
@@ -246,23 +428,13 @@ app.get('/proxy/stream', async (req, res) => {
         // Decode base64 parameters
         const streamUrl = Buffer.from(url, 'base64').toString('utf-8');
         const referer = ref ? Buffer.from(ref, 'base64').toString('utf-8') : '';
+        const signed = isSignedUrl(streamUrl, req.query.sig);
 
         // Get base URL for this stream (for nested m3u8 files)
         const baseUrl = streamUrl.substring(0, streamUrl.lastIndexOf('/') + 1);
 
         // Fetch stream with Referer header
-        const response = await fetch(streamUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'Referer': referer,
-                'Origin': referer ? new URL(referer).origin : ''
-            }
-        });
-
-        if (!response.ok) {
-            log.error(`Proxy stream failed: ${response.status} for ${streamUrl.substring(0, 60)}...`);
-            return res.status(response.status).send('Failed to fetch stream');
-        }
+        const response = await request(streamUrl, { referer, policy: 'stream', session, allowProxy: signed });
 
         // Check if this is an m3u8 playlist (needs URL rewriting)
         const contentType = response.headers.get('content-type') || '';
@@ -276,7 +448,8 @@ app.get('/proxy/stream', async (req, res) => {
             const proxyUrl = (originalUrl) => {
                 const fullUrl = originalUrl.startsWith('http') ? originalUrl : baseUrl + originalUrl;
                 const encodedUrl = Buffer.from(fullUrl).toString('base64');
-                return `${BASE_URL}/proxy/stream?url=${encodedUrl}&ref=${ref}`;
+                const sig = signed ? `&sig=${signUrl(fullUrl)}` : '';
+                return `${BASE_URL}/proxy/stream?url=${encodedUrl}&ref=${ref}&s=${session}${sig}`;
             };
 
             // Rewrite URLs in the playlist
@@ -322,15 +495,26 @@ app.get('/proxy/stream', async (req, res) => {
 
     } catch (error) {
         log.error(`Proxy stream error: ${error.message}`);
-        res.status(500).send('Proxy error');
+        sendProxyError(res, error, 'Failed to fetch stream');
     }
 });
 
+// Admin API (mapping overrides etc.) - disabled unless ADMIN_TOKEN is set
+app.use('/admin', createAdminRouter());
+
 // Mount Stremio addon router
 app.use(getRouter(builder.getInterface()));
 
 // Start server
 app.listen(PORT, () => {
+    // Find the live mirror now and keep checking in the background
+    startDomainMonitor();
+
+    // Every site request goes through a proxy - have some ready before the first one
+    if (isProxyAlways()) {
+        startProxyPool();
+    }
+
     log.info(`HDFilmCehennemi Addon v${manifest.version} running at http://localhost:${PORT}/manifest.json`);
     log.info(`M3U8 Proxy endpoint: ${BASE_URL}/proxy/m3u8`);
     log.info(`Set BASE_URL env var for production (current: ${BASE_URL})`);
@@ -0,0 +1,208 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Admin API Module
+ *
+ * HTTP endpoints for maintainers, mounted under /admin.
+ * Disabled unless ADMIN_TOKEN is set; every request must send the token as
+ * "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+ *
+ * Endpoints:
+ *   GET    /admin/mappings[?source=auto|manual]  - list stored IMDb → page mappings
+ *   GET    /admin/mappings/:imdbId               - get one mapping
+ *   PUT    /admin/mappings/:imdbId               - add or replace an override
+ *   PATCH  /admin/mappings/:imdbId               - edit fields of a mapping
+ *   DELETE /admin/mappings/:imdbId               - delete a mapping (next request searches again)
+ *   GET    /admin/ambiguous                      - recent ambiguous search matches to review
+ *   GET    /admin/domains                        - active site/embed mirrors and known mirror lists
+ *   POST   /admin/domains/probe                  - probe site mirrors now and switch if needed
+ *   GET    /admin/proxies                        - proxy pool with scores, user proxies, pin and bans
+ *   POST   /admin/proxies/refresh                - re-fetch proxy lists, re-test the pool and top it up
+ *   DELETE /admin/proxies/cache                  - forget fetched lists and the pool
+ *   PUT    /admin/proxies/pin                    - pin a proxy ({ "proxy": "socks5://ip:port" }), used first
+ *   DELETE /admin/proxies/pin                    - unpin
+ *   PUT    /admin/proxies/bans/:address          - ban a proxy ("ip:port")
+ *   DELETE /admin/proxies/bans/:address          - lift a ban
+ *   POST   /admin/proxies/test                   - test a proxy against the site now ({ "proxy": "..." })
+ *
+ * @module admin
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('./errors');
+const { isValidImdbId } = require('./search');
+const { getMapping, listMappings, setMapping, updateMapping, deleteMapping } = require('./mappings');
+const { getAmbiguousMatches } = require('./matching');
+const { getDomainStatus, probeMirrors } = require('./domains');
+const {
+    getProxyStatus,
+    refreshProxies,
+    clearProxyCache,
+    pinProxy,
+    unpinProxy,
+    banProxy,
+    unbanProxy,
+    testProxyNow
+} = require('./proxy');
+
+const log = createLogger('Admin');
+
+// Configuration
+const CONFIG = {
+    token: process.env.ADMIN_TOKEN || ''
+};
+
+/**
+ * Compare the request token with ADMIN_TOKEN in constant time
+ * @param {string} token - Token sent by the client
+ * @returns {boolean}
+ */
+function isValidToken(token) {
+    const expected = Buffer.from(CONFIG.token);
+    const actual = Buffer.from(String(token || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Reject requests without a valid admin token
+ */
+function requireToken(req, res, next) {
+    if (!CONFIG.token) {
+        return res.status(404).json({ error: 'Admin API devre dışı (ADMIN_TOKEN ayarlanmamış)' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Admin-Token');
+    if (!isValidToken(token)) {
+        log.warn(`Rejected admin request: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({ error: 'Geçersiz admin token' });
+    }
+
+    next();
+}
+
+/**
+ * Validate the :imdbId route parameter
+ */
+function requireImdbId(req, res, next) {
+    if (!isValidImdbId(req.params.imdbId)) {
+        return res.status(400).json({ error: 'Geçersiz IMDb ID formatı (örnek: tt1234567)' });
+    }
+    next();
+}
+
+/**
+ * Create the admin router
+ * @returns {express.Router}
+ */
+function createAdminRouter() {
+    const router = express.Router();
+
+    router.use(requireToken);
+    router.use(express.json());
+
+    router.get('/mappings', (req, res) => {
+        const source = ['auto', 'manual'].includes(req.query.source) ? req.query.source : undefined;
+        res.json({ mappings: listMappings({ source }) });
+    });
+
+    router.get('/mappings/:imdbId', requireImdbId, (req, res) => {
+        const mapping = getMapping(req.params.imdbId);
+        if (!mapping) {
+            return res.status(404).json({ error: 'Eşleşme bulunamadı' });
+        }
+        res.json({ mapping });
+    });
+
+    router.put('/mappings/:imdbId', requireImdbId, (req, res) => {
+        const mapping = setMapping(req.params.imdbId, req.body || {});
+        res.json({ mapping });
+    });
+
+    router.patch('/mappings/:imdbId', requireImdbId, (req, res) => {
+        const mapping = updateMapping(req.params.imdbId, req.body || {});
+        if (!mapping) {
+            return res.status(404).json({ error: 'Eşleşme bulunamadı' });
+        }
+        res.json({ mapping });
+    });
+
+    router.delete('/mappings/:imdbId', requireImdbId, (req, res) => {
+        if (!deleteMapping(req.params.imdbId)) {
+            return res.status(404).json({ error: 'Eşleşme bulunamadı' });
+        }
+        res.status(204).end();
+    });
+
+    router.get('/ambiguous', (req, res) => {
+        res.json({ matches: getAmbiguousMatches() });
+    });
+
+    router.get('/domains', (req, res) => {
+        res.json({ domains: getDomainStatus() });
+    });
+
+    router.post('/domains/probe', async (req, res) => {
+        await probeMirrors('site');
+        res.json({ domains: getDomainStatus() });
+    });
+
+    router.get('/proxies', (req, res) => {
+        res.json({ proxies: getProxyStatus() });
+    });
+
+    router.post('/proxies/refresh', async (req, res) => {
+        await refreshProxies();
+        res.json({ proxies: getProxyStatus() });
+    });
+
+    router.delete('/proxies/cache', (req, res) => {
+        clearProxyCache();
+        res.status(204).end();
+    });
+
+    router.put('/proxies/pin', (req, res) => {
+        res.json({ pinned: pinProxy(req.body?.proxy) });
+    });
+
+    router.delete('/proxies/pin', (req, res) => {
+        if (!unpinProxy()) {
+            return res.status(404).json({ error: 'Sabitlenmiş proxy yok' });
+        }
+        res.status(204).end();
+    });
+
+    router.put('/proxies/bans/:address', (req, res) => {
+        banProxy(req.params.address);
+        res.status(204).end();
+    });
+
+    router.delete('/proxies/bans/:address', (req, res) => {
+        if (!unbanProxy(req.params.address)) {
+            return res.status(404).json({ error: 'Proxy yasaklı değil' });
+        }
+        res.status(204).end();
+    });
+
+    router.post('/proxies/test', async (req, res) => {
+        res.json({ result: await testProxyNow(req.body?.proxy) });
+    });
+
+    // Validation errors become 400s, everything else a 500
+    router.use((error, req, res, next) => {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message, field: error.field });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Geçersiz JSON' });
+        }
+        log.error(`Admin error: ${error.message}`);
+        res.status(500).json({ error: 'Sunucu hatası' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
@@ -0,0 +1,164 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Circuit Breaker Module
+ *
+ * Tracks upstream health per host so a dead site or CDN fails fast instead of
+ * every request burning through its retries and proxies:
+ *   - closed:    requests pass; consecutive failed requests are counted
+ *   - open:      after CIRCUIT_FAILURE_THRESHOLD failures requests fail at once
+ *                with CircuitOpenError until the probe time
+ *   - half-open: at the probe time one request is let through; success closes
+ *                the circuit, failure opens it again for twice as long (capped).
+ *                A probe that never reaches the host (rate limited, or only
+ *                tried proxies that failed) gives its slot back
+ *
+ * Only failures that say the host is unhealthy count: connection errors,
+ * timeouts and 5xx. Any HTTP answer below 500 means the host is up.
+ *
+ * @module breaker
+ */
+
+const { createLogger } = require('./logger');
+const { CircuitOpenError } = require('./errors');
+
+const log = createLogger('Breaker');
+
+// Configuration
+const CONFIG = {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5, // Failed requests before opening
+    openDuration: (parseInt(process.env.CIRCUIT_OPEN_SECONDS) || 30) * 1000, // First wait before a probe (ms)
+    maxOpenDuration: 5 * 60 * 1000 // Cap for the doubling wait between probes (ms)
+};
+
+// host → { state, failures, openDuration, retryAt }
+const circuits = new Map();
+
+/**
+ * @param {string} url - Request URL
+ * @returns {string} Host the circuit is kept for
+ */
+function hostOf(url) {
+    return new URL(url).host;
+}
+
+/**
+ * Let a request through or fail fast
+ * An open circuit whose probe time has come turns half-open and lets this one request through.
+ * The probe stays in flight until its request reports back (recordSuccess, recordFailure
+ * or releaseProbe) - however long its retries and proxy attempts take.
+ * @param {string} url - Request URL
+ * @returns {boolean} True if this request is the probe (see releaseProbe)
+ * @throws {CircuitOpenError} If the host's circuit is open (or half-open with a probe in flight)
+ */
+function checkCircuit(url) {
+    const host = hostOf(url);
+    const circuit = circuits.get(host);
+    if (!circuit || circuit.state === 'closed') return false;
+
+    const now = Date.now();
+    if (circuit.state === 'open' && now >= circuit.retryAt) {
+        circuit.state = 'half-open';
+        log.info(`Circuit half-open for ${host}, probing with next request`);
+        return true;
+    }
+
+    // Half-open: the probe's outcome isn't known yet - hint at the next regular probe time
+    throw new CircuitOpenError(url, host, circuit.state === 'open' ? circuit.retryAt : now + circuit.openDuration);
+}
+
+/**
+ * Give back the probe slot of a request that never reached the host
+ * (rate limited, or only tried proxies that failed). The next request probes instead.
+ * @param {string} url - Request URL
+ */
+function releaseProbe(url) {
+    const circuit = circuits.get(hostOf(url));
+    if (!circuit || circuit.state !== 'half-open') return;
+
+    circuit.state = 'open';
+    log.debug(`Probe for ${hostOf(url)} never reached the host, next request probes`);
+}
+
+/**
+ * Check without changing state - for retry loops of a request already let through
+ * @param {string} url - Request URL
+ * @returns {boolean} True if the host's circuit is open
+ */
+function isCircuitOpen(url) {
+    const circuit = circuits.get(hostOf(url));
+    return Boolean(circuit && circuit.state === 'open');
+}
+
+/**
+ * Record a request the host answered
+ * @param {string} url - Request URL
+ */
+function recordSuccess(url) {
+    const host = hostOf(url);
+    const circuit = circuits.get(host);
+    if (!circuit) return;
+
+    if (circuit.state !== 'closed') {
+        log.info(`✅ Circuit closed for ${host}`);
+    }
+    circuits.delete(host);
+}
+
+/**
+ * Record a request that failed because of the host (connection error, timeout, 5xx)
+ * @param {string} url - Request URL
+ */
+function recordFailure(url) {
+    const host = hostOf(url);
+    let circuit = circuits.get(host);
+    if (!circuit) {
+        circuit = { state: 'closed', failures: 0, openDuration: CONFIG.openDuration, retryAt: 0 };
+        circuits.set(host, circuit);
+    }
+
+    if (circuit.state === 'half-open') {
+        // Probe failed - wait longer before the next one
+        circuit.openDuration = Math.min(circuit.openDuration * 2, CONFIG.maxOpenDuration);
+        open(host, circuit);
+        return;
+    }
+
+    circuit.failures++;
+    if (circuit.state === 'closed' && circuit.failures >= CONFIG.failureThreshold) {
+        open(host, circuit);
+    }
+}
+
+/**
+ * @param {string} host - Upstream host
+ * @param {Object} circuit - Circuit state
+ */
+function open(host, circuit) {
+    circuit.state = 'open';
+    circuit.retryAt = Date.now() + circuit.openDuration;
+    log.warn(`⛔ Circuit open for ${host} after ${circuit.failures} failures, next probe in ${Math.round(circuit.openDuration / 1000)}s`);
+}
+
+/**
+ * Hosts with failures or an open circuit
+ * @returns {Object<string, {state: string, failures: number, retryAt: string|null}>}
+ */
+function getCircuitStatus() {
+    const status = {};
+    for (const [host, circuit] of circuits) {
+        status[host] = {
+            state: circuit.state,
+            failures: circuit.failures,
+            retryAt: circuit.state === 'closed' ? null : new Date(circuit.retryAt).toISOString()
+        };
+    }
+    return status;
+}
+
+module.exports = {
+    checkCircuit,
+    releaseProbe,
+    isCircuitOpen,
+    recordSuccess,
+    recordFailure,
+    getCircuitStatus
+};
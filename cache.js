@@ -0,0 +1,318 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Cache Module
+ *
+ * Layered result cache with per-layer TTLs and negative caching:
+ *   - mapping:  IMDb ID → site page (long)
+ *   - episodes: series page → episode list (medium)
+ *   - video:    content page → extracted streams (short, capped by CDN token expiry)
+ *
+ * Entries live in a pluggable store selected with CACHE_STORE:
+ *   - memory: in-process LRU (default)
+ *   - file:   LRU persisted to a JSON file (CACHE_FILE), survives restarts
+ *
+ * @module cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { onDomainChange } = require('./domains');
+
+const log = createLogger('Cache');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Configuration
+const CONFIG = {
+    store: process.env.CACHE_STORE || 'memory', // 'memory' | 'file'
+    file: process.env.CACHE_FILE || path.join(__dirname, 'data', 'cache.json'),
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+    flushDelay: 5000 // Debounce for file writes (ms)
+};
+
+// TTLs per cache layer
+const LAYERS = {
+    mapping: { ttl: 7 * 24 * HOUR, negativeTtl: 6 * HOUR },
+    episodes: { ttl: 6 * HOUR, negativeTtl: 15 * MINUTE },
+    video: { ttl: 30 * MINUTE, negativeTtl: 10 * MINUTE }
+};
+
+/**
+ * In-memory LRU store
+ * Map iteration order is insertion order, so the first key is the least recently used.
+ */
+class MemoryStore {
+    /**
+     * @param {number} maxEntries - Max entries before the least recently used are evicted
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        // Move to the most recently used position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Replace a string in every stored key and value (e.g., an old domain in cached URLs)
+     * Entries keep their LRU position.
+     * @param {string} from - String to replace
+     * @param {string} to - Replacement
+     * @returns {number} Number of entries changed
+     */
+    replaceInEntries(from, to) {
+        let changed = 0;
+        const entries = new Map();
+        for (const [key, entry] of this.entries) {
+            const json = JSON.stringify(entry);
+            if (!key.includes(from) && !json.includes(from)) {
+                entries.set(key, entry);
+                continue;
+            }
+            entries.set(key.split(from).join(to), JSON.parse(json.split(from).join(to)));
+            changed++;
+        }
+        this.entries = entries;
+        return changed;
+    }
+}
+
+/**
+ * LRU store persisted to a JSON file
+ * Loaded once at startup; writes are debounced and atomic (temp file + rename).
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {number} maxEntries - Max entries before the least recently used are evicted
+     * @param {string} file - Path of the JSON file
+     */
+    constructor(maxEntries, file) {
+        super(maxEntries);
+        this.file = file;
+        this.flushTimer = null;
+        this.load();
+
+        // Don't lose the last debounced writes on a clean shutdown
+        process.once('exit', () => {
+            if (this.flushTimer) this.flush();
+        });
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(data)) {
+                if (entry && entry.expiresAt > now) {
+                    super.set(key, entry);
+                }
+            }
+            log.info(`Loaded ${this.entries.size} cache entries from ${this.file}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.warn(`Failed to load cache file: ${error.message}`);
+            }
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, CONFIG.flushDelay);
+        this.flushTimer.unref();
+    }
+
+    flush() {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const tmp = `${this.file}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(this.entries)));
+            fs.renameSync(tmp, this.file);
+            log.debug(`Cache flushed (${this.entries.size} entries)`);
+        } catch (error) {
+            log.warn(`Failed to write cache file: ${error.message}`);
+        }
+    }
+
+    set(key, entry) {
+        super.set(key, entry);
+        this.scheduleFlush();
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) this.scheduleFlush();
+        return deleted;
+    }
+
+    clear() {
+        super.clear();
+        this.scheduleFlush();
+    }
+
+    replaceInEntries(from, to) {
+        const changed = super.replaceInEntries(from, to);
+        if (changed > 0) this.scheduleFlush();
+        return changed;
+    }
+}
+
+/**
+ * Create the configured store
+ * @returns {MemoryStore|FileStore}
+ */
+function createStore() {
+    if (CONFIG.store === 'file') {
+        log.info(`Using file cache store: ${CONFIG.file}`);
+        return new FileStore(CONFIG.maxEntries, CONFIG.file);
+    }
+    return new MemoryStore(CONFIG.maxEntries);
+}
+
+const store = createStore();
+
+// Cached pages, episode lists and embed referers follow the site to its new domain -
+// keys too, since the episode and video layers are keyed by page URL
+onDomainChange((group, from, to) => {
+    const changed = store.replaceInEntries(from, to);
+    if (changed > 0) {
+        log.info(`Rewrote ${changed} cache entries: ${from} -> ${to}`);
+    }
+});
+
+/**
+ * A cache layer: namespaced keys with its own TTLs and hit/miss counters
+ */
+class CacheLayer {
+    /**
+     * @param {string} name - Layer name (key namespace)
+     * @param {{ttl: number, negativeTtl: number}} ttls - TTLs in ms
+     */
+    constructor(name, ttls) {
+        this.name = name;
+        this.ttl = ttls.ttl;
+        this.negativeTtl = ttls.negativeTtl;
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * Look up a key
+     * @param {string} key - Cache key
+     * @returns {{hit: boolean, negative?: boolean, value?: *}} negative means "known not found"
+     */
+    get(key) {
+        const entry = store.get(`${this.name}:${key}`);
+        if (!entry) {
+            this.stats.misses++;
+            return { hit: false };
+        }
+
+        this.stats.hits++;
+        return entry.negative ? { hit: true, negative: true } : { hit: true, negative: false, value: entry.value };
+    }
+
+    /**
+     * Store a value (must be JSON-serializable for the file store)
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store
+     * @param {number} [ttl] - TTL override in ms (e.g., capped by token expiry)
+     */
+    set(key, value, ttl = this.ttl) {
+        if (!(ttl > 0)) return;
+        store.set(`${this.name}:${key}`, { value, expiresAt: Date.now() + ttl });
+    }
+
+    /**
+     * Remember that a key has no result
+     * @param {string} key - Cache key
+     */
+    setNegative(key) {
+        store.set(`${this.name}:${key}`, { negative: true, expiresAt: Date.now() + this.negativeTtl });
+    }
+
+    /**
+     * Remove a key
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        store.delete(`${this.name}:${key}`);
+    }
+}
+
+const layers = Object.fromEntries(
+    Object.entries(LAYERS).map(([name, ttls]) => [name, new CacheLayer(name, ttls)])
+);
+
+/**
+ * Get a cache layer by name
+ * @param {'mapping'|'episodes'|'video'} name - Layer name
+ * @returns {CacheLayer}
+ */
+function getCache(name) {
+    const layer = layers[name];
+    if (!layer) {
+        throw new Error(`Unknown cache layer: ${name}`);
+    }
+    return layer;
+}
+
+/**
+ * Clear all cache layers
+ */
+function clearCache() {
+    store.clear();
+    log.info('Cache cleared');
+}
+
+/**
+ * Get hit/miss counters per layer and total entry count
+ * @returns {{entries: number, layers: Object<string, {hits: number, misses: number}>}}
+ */
+function getCacheStats() {
+    return {
+        entries: store.keys().length,
+        layers: Object.fromEntries(Object.values(layers).map(layer => [layer.name, { ...layer.stats }]))
+    };
+}
+
+module.exports = {
+    getCache,
+    clearCache,
+    getCacheStats
+};
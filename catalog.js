@@ -0,0 +1,276 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Catalog Module
+ *
+ * Builds Stremio catalogs from the site's own listing pages
+ * (latest movies, latest series, genres and years) and its search.
+ *
+ * @module catalog
+ */
+
+const cheerio = require('cheerio');
+const { getText } = require('./http');
+const { searchOnSite } = require('./search');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('./errors');
+const { slugFromUrl, buildContentId } = require('./ids');
+const { getSiteBase, isSiteUrl } = require('./domains');
+
+const log = createLogger('Catalog');
+
+// Configuration
+const CONFIG = {
+    defaultPageSize: 24,   // Used until the real page size of a listing is known
+    maxPagesPerRequest: 3, // Max listing pages fetched to fill a single catalog response
+    firstYear: 1980        // Oldest year offered in the year catalog
+};
+
+// Genre name (shown in Stremio) -> listing path on the site
+const GENRES = {
+    'Aile': 'genres/aile-filmleri-izleyin-6',
+    'Aksiyon': 'genres/aksiyon-filmleri-izleyin-5',
+    'Animasyon': 'genres/animasyon-filmlerini-izleyin-5',
+    'Belgesel': 'genres/belgesel-filmlerini-izle-1',
+    'Bilim Kurgu': 'genres/bilim-kurgu-filmlerini-izleyin-3',
+    'Komedi': 'genres/komedi-filmlerini-izleyin-1',
+    'Korku': 'genres/korku-filmlerini-izle-4',
+    'Romantik': 'genres/romantik-filmleri-izle-2'
+};
+
+/**
+ * Years offered in the year catalog, newest first
+ * @returns {string[]}
+ */
+function getYearOptions() {
+    const years = [];
+    for (let year = new Date().getFullYear(); year >= CONFIG.firstYear; year--) {
+        years.push(String(year));
+    }
+    return years;
+}
+
+// Catalog definitions exposed in the manifest.
+// `path` resolves the listing path on the site from the requested genre,
+// `search` catalogs are served from the site's AJAX search instead.
+const CATALOGS = [
+    {
+        id: 'hdfc-movies',
+        type: 'movie',
+        name: 'HDFilmCehennemi Filmler',
+        extra: [
+            { name: 'genre', options: Object.keys(GENRES) },
+            { name: 'skip' }
+        ],
+        path: (genre) => genre ? GENRES[genre] : 'home'
+    },
+    {
+        id: 'hdfc-series',
+        type: 'series',
+        name: 'HDFilmCehennemi Diziler',
+        extra: [{ name: 'skip' }],
+        path: () => 'home-series'
+    },
+    {
+        id: 'hdfc-years',
+        type: 'movie',
+        name: 'HDFilmCehennemi Yıllara Göre',
+        extra: [
+            { name: 'genre', options: getYearOptions(), isRequired: true },
+            { name: 'skip' }
+        ],
+        path: (year) => /^\d{4}$/.test(year || '') ? `years/${year}` : null
+    },
+    {
+        id: 'hdfc-search',
+        type: 'movie',
+        name: 'HDFilmCehennemi',
+        extra: [{ name: 'search', isRequired: true }],
+        search: true
+    },
+    {
+        id: 'hdfc-search',
+        type: 'series',
+        name: 'HDFilmCehennemi',
+        extra: [{ name: 'search', isRequired: true }],
+        search: true
+    }
+];
+
+// Learned number of items per listing page, keyed by listing path
+const pageSizes = new Map();
+
+/**
+ * Get catalog definitions for the manifest (without internal fields)
+ * @returns {Array<{id: string, type: string, name: string, extra: Array}>}
+ */
+function getManifestCatalogs() {
+    return CATALOGS.map(({ id, type, name, extra }) => ({ id, type, name, extra }));
+}
+
+/**
+ * Parse listing HTML into Stremio meta previews
+ * @param {string} html - Listing HTML (page body or AJAX snippet)
+ * @param {'movie'|'series'} type - Stremio type of the catalog
+ * @returns {Array<{id: string, type: string, name: string, poster?: string, releaseInfo?: string}>}
+ */
+function parseListing(html, type) {
+    const $ = cheerio.load(html);
+    const metas = [];
+    const seen = new Set();
+
+    $('a').each((i, el) => {
+        const href = $(el).attr('href');
+        const img = $(el).find('img').first();
+        const name = ($(el).attr('title') || $(el).find('.poster-title, h2, h4').first().text() || img.attr('alt') || '').trim();
+
+        // Only poster cards link to content pages with an image and a title
+        if (!href || !isSiteUrl(href) || !img.length || !name) return;
+
+        const slug = slugFromUrl(href);
+        if (!slug) return;
+
+        const id = buildContentId(slug);
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        const poster = img.attr('data-src') || img.attr('src');
+        const yearText = $(el).find('.poster-meta span, .year').first().text().trim();
+        const yearMatch = yearText.match(/\d{4}/);
+
+        metas.push({
+            id,
+            type,
+            name: name.replace(/\s+izle$/i, ''),
+            poster: poster && !poster.startsWith('data:') ? poster : undefined,
+            posterShape: 'poster',
+            releaseInfo: yearMatch ? yearMatch[0] : undefined
+        });
+    });
+
+    return metas;
+}
+
+/**
+ * Fetch and parse a single listing page
+ * @param {string} path - Listing path (e.g., 'home', 'genres/aksiyon-filmleri-izleyin-5')
+ * @param {number} page - 1-based page number
+ * @param {'movie'|'series'} type - Stremio type of the catalog
+ * @returns {Promise<Array>} Meta previews on that page
+ * @throws {NetworkError|TimeoutError}
+ */
+async function fetchListingPage(path, page, type) {
+    const url = `${getSiteBase()}/load/page/${page}/${path}/`;
+    log.debug(`Fetching listing: ${url}`);
+
+    const body = await getText(url, {
+        referer: getSiteBase(),
+        headers: {
+            'X-Requested-With': 'fetch',
+            'Accept': '*/*'
+        }
+    });
+
+    // The load endpoint wraps the HTML in JSON, fall back to raw HTML otherwise
+    let html = body;
+    try {
+        const data = JSON.parse(body);
+        html = data.html || '';
+    } catch {
+        // Not JSON - use body as-is
+    }
+
+    return parseListing(html, type);
+}
+
+/**
+ * Search the site and return results of the requested type as meta previews
+ * @param {'movie'|'series'} type - Stremio type
+ * @param {string} query - User search query
+ * @returns {Promise<{metas: Array}>}
+ * @throws {ValidationError}
+ */
+async function searchCatalog(type, query) {
+    const trimmed = (query || '').trim();
+    if (trimmed.length < 2) {
+        throw new ValidationError('Arama en az 2 karakter olmalı', 'search', query);
+    }
+
+    const results = await searchOnSite(trimmed);
+
+    const metas = results
+        .filter(r => r.type === type && r.slug)
+        .map(r => ({
+            id: buildContentId(r.slug),
+            type,
+            name: r.title,
+            poster: r.poster || undefined,
+            posterShape: 'poster',
+            releaseInfo: r.year ? String(r.year) : undefined
+        }));
+
+    log.info(`Search catalog "${trimmed}" (${type}): ${metas.length} items`);
+    return { metas };
+}
+
+/**
+ * Get catalog items with skip-based pagination
+ * @param {'movie'|'series'} type - Stremio type
+ * @param {string} id - Catalog ID from the manifest
+ * @param {{genre?: string, skip?: string, search?: string}} [extra] - Stremio extra arguments
+ * @returns {Promise<{metas: Array}>}
+ * @throws {ValidationError|NetworkError}
+ */
+async function getCatalog(type, id, extra = {}) {
+    const catalog = CATALOGS.find(c => c.id === id && c.type === type);
+    if (!catalog) {
+        throw new ValidationError('Bilinmeyen katalog', 'id', id);
+    }
+
+    if (catalog.search) {
+        return searchCatalog(type, extra.search);
+    }
+
+    const path = catalog.path(extra.genre);
+    if (!path) {
+        throw new ValidationError('Geçersiz katalog filtresi', 'genre', extra.genre);
+    }
+
+    const skip = Math.max(parseInt(extra.skip) || 0, 0);
+    let pageSize = pageSizes.get(path) || CONFIG.defaultPageSize;
+    let page = Math.floor(skip / pageSize) + 1;
+    let offset = skip % pageSize;
+
+    log.info(`Catalog request: ${id} (${path}) skip=${skip} -> page ${page}`);
+
+    const metas = [];
+    for (let i = 0; i < CONFIG.maxPagesPerRequest; i++) {
+        const items = await fetchListingPage(path, page, type);
+
+        // First page tells us the real page size of this listing
+        if (page === 1 && items.length > 0 && items.length !== pageSize) {
+            pageSizes.set(path, items.length);
+            pageSize = items.length;
+            if (skip >= pageSize) {
+                // Our page guess was based on the wrong size - recompute and refetch
+                page = Math.floor(skip / pageSize) + 1;
+                offset = skip % pageSize;
+                continue;
+            }
+        }
+
+        metas.push(...items.slice(offset));
+        offset = 0;
+
+        // Stop on the last page or once we have a full page worth of items
+        if (items.length < pageSize || metas.length >= pageSize) break;
+        page++;
+    }
+
+    log.info(`Catalog ${id}: ${metas.length} items`);
+    return { metas };
+}
+
+module.exports = {
+    getCatalog,
+    getManifestCatalogs,
+    parseListing
+};
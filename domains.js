@@ -0,0 +1,350 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Domain Manager Module
+ *
+ * The site moves to new domains regularly. This module keeps an ordered list
+ * of mirrors for the main site and the video embed host, and picks the active one:
+ *   - health probing: mirrors are probed in order at startup, periodically,
+ *     and after requests to the active mirror fail
+ *   - redirect detection: the active mirror redirecting a page to the same path
+ *     on another host switches to that host (a new host must pass a probe first)
+ *   - embed detection: iframes pointing at a new embed host switch the embed mirror
+ *
+ * Modules holding site URLs (cache, mappings) subscribe with onDomainChange
+ * and rewrite them when the active domain switches.
+ *
+ * Configure with SITE_MIRRORS / EMBED_MIRRORS (comma separated, most preferred first).
+ *
+ * @module domains
+ */
+
+const { fetch } = require('undici');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Domains');
+
+/**
+ * Parse a comma separated list of URLs into origins
+ * @param {string} value - e.g. "https://a.example, https://b.example"
+ * @returns {string[]} Valid origins in order
+ */
+function parseOrigins(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => toOrigin(item.trim()))
+        .filter(Boolean);
+}
+
+/**
+ * Get the origin of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Origin (e.g., https://www.hdfilmcehennemi.ws) or null if invalid
+ */
+function toOrigin(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : null;
+    } catch {
+        return null;
+    }
+}
+
+// Configuration
+const CONFIG = {
+    siteMirrors: parseOrigins(process.env.SITE_MIRRORS),
+    embedMirrors: parseOrigins(process.env.EMBED_MIRRORS),
+    probeInterval: (parseInt(process.env.DOMAIN_PROBE_INTERVAL) || 30) * 60 * 1000, // Minutes in env
+    probeTimeout: 10000,
+    failureProbeCooldown: 60 * 1000 // Min time between failure-triggered probes per group
+};
+
+const DEFAULT_MIRRORS = {
+    site: ['https://www.hdfilmcehennemi.ws'],
+    embed: ['https://hdfilmcehennemi.mobi']
+};
+
+// Mirror groups: ordered mirrors and the active one
+const groups = {
+    site: createGroup(CONFIG.siteMirrors.length > 0 ? CONFIG.siteMirrors : DEFAULT_MIRRORS.site),
+    embed: createGroup(CONFIG.embedMirrors.length > 0 ? CONFIG.embedMirrors : DEFAULT_MIRRORS.embed)
+};
+
+const listeners = [];
+let monitorTimer = null;
+
+// Redirect targets being probed before a switch
+const confirming = new Set();
+
+/**
+ * @param {string[]} mirrors - Ordered mirror origins
+ * @returns {{mirrors: string[], active: string, probing: Promise|null, lastFailureProbe: number}}
+ */
+function createGroup(mirrors) {
+    return { mirrors: [...mirrors], active: mirrors[0], probing: null, lastFailureProbe: 0 };
+}
+
+/**
+ * Get the active main site origin
+ * @returns {string} e.g. https://www.hdfilmcehennemi.ws
+ */
+function getSiteBase() {
+    return groups.site.active;
+}
+
+/**
+ * Get the active video embed origin
+ * @returns {string} e.g. https://hdfilmcehennemi.mobi
+ */
+function getEmbedBase() {
+    return groups.embed.active;
+}
+
+/**
+ * Find which mirror group a URL belongs to
+ * @param {string} url - Absolute URL
+ * @returns {'site'|'embed'|null}
+ */
+function getGroupOf(url) {
+    const origin = toOrigin(url);
+    if (!origin) return null;
+
+    const host = new URL(origin).host;
+    for (const [name, group] of Object.entries(groups)) {
+        if (group.mirrors.some(mirror => new URL(mirror).host === host)) return name;
+    }
+    return null;
+}
+
+/**
+ * Check if a URL points at a known site or embed mirror (needs proxy, may move)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+function isSiteUrl(url) {
+    return getGroupOf(url) !== null;
+}
+
+/**
+ * Subscribe to active domain switches
+ * @param {function('site'|'embed', string, string): void} listener - Called with (group, oldOrigin, newOrigin)
+ */
+function onDomainChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Make an origin the active mirror of a group, adding it to the list if new
+ * @param {'site'|'embed'} name - Group name
+ * @param {string} origin - New active origin
+ * @param {string} reason - For logs
+ * @param {string} [before] - A new mirror is inserted ahead of this one (default: at the front)
+ */
+function setActive(name, origin, reason, before = null) {
+    const group = groups[name];
+
+    if (!group.mirrors.includes(origin)) {
+        const index = before ? Math.max(0, group.mirrors.indexOf(before)) : 0;
+        group.mirrors.splice(index, 0, origin);
+        log.info(`New ${name} mirror discovered (${reason}): ${origin}`);
+    }
+
+    if (group.active === origin) return;
+
+    const previous = group.active;
+    group.active = origin;
+    log.warn(`Active ${name} domain switched (${reason}): ${previous} -> ${origin}`);
+
+    for (const listener of listeners) {
+        try {
+            listener(name, previous, origin);
+        } catch (error) {
+            log.error(`Domain change listener failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Learn from a response that was redirected to another host
+ * Only a redirect to the same path counts as the site moving - an embed page sent
+ * to a CDN or a removed page sent to another site doesn't. Known mirrors are
+ * switched to at once; a new host is probed first.
+ * @param {string} requestUrl - URL that was requested
+ * @param {string} finalUrl - URL the response came from (response.url)
+ * @returns {Promise<boolean>} True if the active mirror switched (never rejects)
+ */
+async function noteResponseUrl(requestUrl, finalUrl) {
+    const name = getGroupOf(requestUrl);
+    const from = toOrigin(requestUrl);
+    const to = toOrigin(finalUrl);
+    if (!name || !to || from === to) return false;
+
+    // Only follow moves of the mirror we're using; old mirrors redirecting is expected
+    if (groups[name].active !== from || new URL(requestUrl).pathname !== new URL(finalUrl).pathname) {
+        return false;
+    }
+
+    if (groups[name].mirrors.includes(to)) {
+        setActive(name, to, 'redirect', from);
+        return true;
+    }
+
+    if (confirming.has(to)) return false;
+    confirming.add(to);
+    try {
+        const { alive } = await probeMirror(to);
+        if (!alive || groups[name].active !== from) {
+            log.debug(`Ignoring redirect to unconfirmed host: ${to}`);
+            return false;
+        }
+        setActive(name, to, 'redirect', from);
+        return true;
+    } finally {
+        confirming.delete(to);
+    }
+}
+
+/**
+ * Learn the embed host from an iframe found on a site page
+ * @param {string} iframeSrc - Iframe URL
+ */
+function noteEmbedUrl(iframeSrc) {
+    const origin = toOrigin(iframeSrc);
+    if (!origin || getGroupOf(origin) === 'site' || !/\/video\/embed\//.test(iframeSrc)) return;
+
+    if (origin !== groups.embed.active) {
+        setActive('embed', origin, 'iframe');
+    }
+}
+
+/**
+ * Probe a mirror
+ * Any HTTP answer below 500 counts as alive - Cloudflare's 403 for foreign IPs included.
+ * A redirect to another origin means the mirror moved there.
+ * @param {string} origin - Mirror origin
+ * @returns {Promise<{alive: boolean, movedTo: string|null}>}
+ */
+async function probeMirror(origin) {
+    try {
+        const response = await fetch(`${origin}/`, {
+            redirect: 'manual',
+            signal: AbortSignal.timeout(CONFIG.probeTimeout),
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+        });
+        await response.body?.cancel();
+
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.get('location');
+            const target = location ? toOrigin(new URL(location, origin).href) : null;
+            const movedTo = target && target !== origin ? target : null;
+            return { alive: !movedTo, movedTo };
+        }
+
+        return { alive: response.status < 500, movedTo: null };
+    } catch (error) {
+        log.debug(`Mirror probe failed: ${origin} (${error.message})`);
+        return { alive: false, movedTo: null };
+    }
+}
+
+/**
+ * Probe the mirrors of a group in order and activate the first healthy one
+ * Concurrent calls share one probe run.
+ * @param {'site'|'embed'} [name='site'] - Group name
+ * @returns {Promise<string>} Active origin after probing
+ */
+function probeMirrors(name = 'site') {
+    const group = groups[name];
+    if (group.probing) return group.probing;
+
+    group.probing = (async () => {
+        const checked = new Set();
+
+        for (let i = 0; i < group.mirrors.length; i++) {
+            const origin = group.mirrors[i];
+            if (checked.has(origin)) continue;
+            checked.add(origin);
+
+            const { alive, movedTo } = await probeMirror(origin);
+
+            if (movedTo) {
+                // The mirror moved - probe its target next instead of using it
+                if (!group.mirrors.includes(movedTo)) {
+                    log.info(`New ${name} mirror discovered (redirect): ${movedTo}`);
+                } else if (!checked.has(movedTo)) {
+                    group.mirrors.splice(group.mirrors.indexOf(movedTo), 1);
+                } else {
+                    continue;
+                }
+                group.mirrors.splice(group.mirrors.indexOf(origin) + 1, 0, movedTo);
+                continue;
+            }
+
+            if (alive) {
+                setActive(name, origin, 'probe');
+                return origin;
+            }
+        }
+
+        log.warn(`No healthy ${name} mirror found, keeping ${group.active}`);
+        return group.active;
+    })().finally(() => {
+        group.probing = null;
+    });
+
+    return group.probing;
+}
+
+/**
+ * Report that requests to a mirror keep failing (connection errors, 5xx)
+ * Triggers a background probe of that group, at most once per cooldown.
+ * @param {string} url - URL that failed
+ */
+function reportFailure(url) {
+    const name = getGroupOf(url);
+    if (!name || toOrigin(url) !== groups[name].active) return;
+
+    const group = groups[name];
+    if (Date.now() - group.lastFailureProbe < CONFIG.failureProbeCooldown) return;
+    group.lastFailureProbe = Date.now();
+
+    log.info(`Requests to ${group.active} failing, probing ${name} mirrors...`);
+    probeMirrors(name).catch(error => log.error(`Mirror probe error: ${error.message}`));
+}
+
+/**
+ * Probe site mirrors now and then periodically
+ */
+function startDomainMonitor() {
+    if (monitorTimer) return;
+
+    probeMirrors('site').catch(error => log.error(`Mirror probe error: ${error.message}`));
+    monitorTimer = setInterval(() => {
+        probeMirrors('site').catch(error => log.error(`Mirror probe error: ${error.message}`));
+    }, CONFIG.probeInterval);
+    monitorTimer.unref();
+}
+
+/**
+ * Current mirror state
+ * @returns {Object<string, {active: string, mirrors: string[]}>}
+ */
+function getDomainStatus() {
+    return Object.fromEntries(Object.entries(groups).map(([name, group]) => [
+        name,
+        { active: group.active, mirrors: [...group.mirrors] }
+    ]));
+}
+
+module.exports = {
+    getSiteBase,
+    getEmbedBase,
+    isSiteUrl,
+    onDomainChange,
+    noteResponseUrl,
+    noteEmbedUrl,
+    probeMirrors,
+    reportFailure,
+    startDomainMonitor,
+    getDomainStatus
+};
@@ -120,6 +120,28 @@ class TimeoutError extends NetworkError {
     }
 }
 
+/**
+ * Upstream host is failing and its circuit breaker is open
+ */
+class CircuitOpenError extends NetworkError {
+    /**
+     * @param {string} url - URL that was not requested
+     * @param {string} host - Host with the open circuit
+     * @param {number} retryAt - Time of the next probe (ms since epoch)
+     */
+    constructor(url, host, retryAt) {
+        super(`Devre açık: ${host} geçici olarak kullanılamıyor`, url, null, { host, retryAt });
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.host = host;
+        this.retryAt = retryAt;
+    }
+
+    getUserMessage() {
+        return 'Kaynak geçici olarak kullanılamıyor. Birkaç dakika sonra tekrar deneyin.';
+    }
+}
+
 /**
  * Invalid input parameters
  */
@@ -142,15 +164,18 @@ class ValidationError extends HDFCError {
 }
 
 /**
- * Rate limiting error
+ * Upstream is rate limiting us (429) for longer than a request can wait
  */
-class RateLimitError extends HDFCError {
+class RateLimitError extends NetworkError {
     /**
-     * @param {string} message - Rate limit description
+     * @param {string} url - URL that was not requested
+     * @param {number} retryAfter - Time until the host accepts requests again (ms)
      */
-    constructor(message = 'Çok fazla eşzamanlı istek') {
-        super(message, 'RATE_LIMIT');
+    constructor(url, retryAfter) {
+        super(`Çok fazla istek: ${Math.ceil(retryAfter / 1000)}s beklenmeli`, url, 429, { retryAfter });
         this.name = 'RateLimitError';
+        this.code = 'RATE_LIMIT';
+        this.retryAfter = retryAfter;
     }
 
     getUserMessage() {
@@ -163,5 +188,7 @@ module.exports = {
     ScrapingError,
     NetworkError,
     TimeoutError,
+    CircuitOpenError,
+    RateLimitError,
     ValidationError
 };
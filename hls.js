@@ -0,0 +1,266 @@
+/**
+ * HDFilmCehennemi Stremio Addon - HLS Playlist Module
+ *
+ * Helpers for inspecting and rewriting m3u8 playlists served through /proxy/m3u8.
+ *
+ * @module hls
+ */
+
+/**
+ * Parse an HLS attribute list (e.g. BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2")
+ * @param {string} line - Tag line including the tag name
+ * @returns {Object<string, string>} Attribute map with quotes removed
+ */
+function parseAttributes(line) {
+    const attributes = {};
+    const list = line.slice(line.indexOf(':') + 1);
+    const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+
+    while ((match = regex.exec(list)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+
+    return attributes;
+}
+
+/**
+ * Resolve a playlist URI against the playlist URL
+ * @param {string} uri - Absolute or relative URI
+ * @param {string} playlistUrl - URL of the playlist containing the URI
+ * @returns {string} Absolute URL
+ */
+function resolveUri(uri, playlistUrl) {
+    try {
+        return new URL(uri, playlistUrl).href;
+    } catch {
+        return uri;
+    }
+}
+
+/**
+ * Get the vertical resolution from an #EXT-X-STREAM-INF line
+ * @param {string} line - Playlist tag line
+ * @returns {number|null} Height in pixels or null if not declared
+ */
+function getVariantHeight(line) {
+    const match = line.match(/RESOLUTION=\d+x(\d+)/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Parse a master playlist into variants and audio renditions
+ * @param {string} content - Master playlist content
+ * @param {string} playlistUrl - URL of the playlist (for resolving relative URIs)
+ * @returns {{
+ *   variants: Array<{height: number|null, width: number|null, bandwidth: number|null, codecs: string|null, url: string}>,
+ *   audioTracks: Array<{name: string, language: string|null, groupId: string|null, default: boolean, url: string|null}>
+ * }} Variants sorted by height (then bandwidth), highest first
+ */
+function parseMasterPlaylist(content, playlistUrl) {
+    const lines = content.split('\n').map(line => line.trim());
+    const variants = [];
+    const audioTracks = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('#EXT-X-MEDIA:')) {
+            const attrs = parseAttributes(line);
+            if (attrs.TYPE === 'AUDIO') {
+                audioTracks.push({
+                    name: attrs.NAME || attrs.LANGUAGE || 'Audio',
+                    language: attrs.LANGUAGE || null,
+                    groupId: attrs['GROUP-ID'] || null,
+                    default: attrs.DEFAULT === 'YES',
+                    url: attrs.URI ? resolveUri(attrs.URI, playlistUrl) : null
+                });
+            }
+        } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            const attrs = parseAttributes(line);
+            const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n) || null);
+
+            // The variant URI is the next non-comment line
+            let uri = null;
+            while (++i < lines.length) {
+                if (lines[i] && !lines[i].startsWith('#')) {
+                    uri = lines[i];
+                    break;
+                }
+            }
+            if (!uri) break;
+
+            variants.push({
+                height: height || null,
+                width: width || null,
+                bandwidth: parseInt(attrs.BANDWIDTH) || null,
+                codecs: attrs.CODECS || null,
+                url: resolveUri(uri, playlistUrl)
+            });
+        }
+    }
+
+    variants.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bandwidth || 0) - (a.bandwidth || 0));
+
+    return { variants, audioTracks };
+}
+
+/**
+ * Keep only the variants accepted by a filter in a master playlist
+ * Leaves the playlist untouched if it has no variants or every variant would be dropped.
+ * @param {string} content - Master playlist content
+ * @param {function(string): boolean} accept - Called with each #EXT-X-STREAM-INF line
+ * @returns {string} Filtered playlist
+ */
+function filterVariants(content, accept) {
+    const lines = content.split('\n');
+    const output = [];
+    let kept = 0;
+    let dropped = 0;
+    let skipNextUri = false;
+
+    for (const line of lines) {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith('#EXT-X-STREAM-INF')) {
+            if (!accept(trimmed)) {
+                skipNextUri = true;
+                dropped++;
+                continue;
+            }
+            kept++;
+        } else if (skipNextUri && trimmed && !trimmed.startsWith('#')) {
+            // URI line belonging to a dropped variant
+            skipNextUri = false;
+            continue;
+        }
+
+        output.push(line);
+    }
+
+    return kept > 0 && dropped > 0 ? output.join('\n') : content;
+}
+
+/**
+ * Drop variants taller than maxHeight from a master playlist
+ * @param {string} content - Master playlist content
+ * @param {number} maxHeight - Max allowed vertical resolution (e.g., 720)
+ * @returns {string} Filtered playlist
+ */
+function limitVariants(content, maxHeight) {
+    return filterVariants(content, (line) => {
+        const height = getVariantHeight(line);
+        return !height || height <= maxHeight;
+    });
+}
+
+/**
+ * Reduce a master playlist to a single quality
+ * When several variants share the height, the highest bandwidth one is kept.
+ * @param {string} content - Master playlist content
+ * @param {number} height - Vertical resolution to keep (e.g., 1080)
+ * @returns {string} Single-variant master playlist (or the original if the height is missing)
+ */
+function selectVariant(content, height) {
+    const bandwidths = content.split('\n')
+        .filter(line => line.trim().startsWith('#EXT-X-STREAM-INF') && getVariantHeight(line) === height)
+        .map(line => parseInt(parseAttributes(line.trim()).BANDWIDTH) || 0);
+
+    if (bandwidths.length === 0) return content;
+
+    const best = Math.max(...bandwidths);
+    let selected = false;
+
+    return filterVariants(content, (line) => {
+        if (selected || getVariantHeight(line) !== height) return false;
+        if ((parseInt(parseAttributes(line).BANDWIDTH) || 0) !== best) return false;
+        selected = true;
+        return true;
+    });
+}
+
+/**
+ * Check if an audio rendition is the Turkish dub
+ * @param {{name?: string, language?: string|null}} track - Audio track (parsed or raw attributes)
+ * @returns {boolean}
+ */
+function isDubbedAudio(track) {
+    const language = String(track.language || '').toLowerCase();
+    return language === 'tr' || language === 'tur' || /t[üu]rk[çc]e|dublaj/i.test(track.name || '');
+}
+
+/**
+ * Check if a set of audio tracks offers both the Turkish dub and the original audio
+ * @param {Array<{name: string, language: string|null}>} audioTracks - Parsed audio tracks
+ * @returns {boolean}
+ */
+function hasDubAndOriginal(audioTracks) {
+    const tracks = audioTracks || [];
+    return tracks.some(isDubbedAudio) && tracks.some(t => !isDubbedAudio(t));
+}
+
+/**
+ * Set or replace an attribute on an HLS tag line
+ * @param {string} line - Tag line
+ * @param {string} name - Attribute name
+ * @param {string} value - Unquoted enumerated value (e.g., YES)
+ * @returns {string} Updated line
+ */
+function setAttribute(line, name, value) {
+    const regex = new RegExp(`([:,])${name}=[^,]*`);
+    return regex.test(line) ? line.replace(regex, `$1${name}=${value}`) : `${line},${name}=${value}`;
+}
+
+/**
+ * Mark the preferred audio rendition as DEFAULT/AUTOSELECT in a master playlist
+ * Players (and most TVs, which have no track picker) start with the DEFAULT track,
+ * so this is how the dub/original preference reaches playback.
+ * Groups without a matching track are left untouched.
+ * @param {string} content - Master playlist content
+ * @param {'dub'|'original'} preference - Preferred audio
+ * @returns {string} Rewritten playlist
+ */
+function setPreferredAudio(content, preference) {
+    const lines = content.split('\n');
+    const wantsDub = preference === 'dub';
+
+    // First pass: pick the preferred track per audio group
+    const preferredByGroup = new Map();
+    lines.forEach((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('#EXT-X-MEDIA:')) return;
+
+        const attrs = parseAttributes(trimmed);
+        if (attrs.TYPE !== 'AUDIO') return;
+
+        const group = attrs['GROUP-ID'] || '';
+        const track = { name: attrs.NAME, language: attrs.LANGUAGE };
+        if (!preferredByGroup.has(group) && isDubbedAudio(track) === wantsDub) {
+            preferredByGroup.set(group, i);
+        }
+    });
+
+    if (preferredByGroup.size === 0) return content;
+
+    // Second pass: rewrite DEFAULT/AUTOSELECT in groups that have a preferred track
+    return lines.map((line, i) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('#EXT-X-MEDIA:')) return line;
+
+        const attrs = parseAttributes(trimmed);
+        const group = attrs['GROUP-ID'] || '';
+        if (attrs.TYPE !== 'AUDIO' || !preferredByGroup.has(group)) return line;
+
+        const flag = preferredByGroup.get(group) === i ? 'YES' : 'NO';
+        return setAttribute(setAttribute(trimmed, 'DEFAULT', flag), 'AUTOSELECT', flag);
+    }).join('\n');
+}
+
+module.exports = {
+    parseMasterPlaylist,
+    limitVariants,
+    selectVariant,
+    isDubbedAudio,
+    hasDubAndOriginal,
+    setPreferredAudio
+};
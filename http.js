@@ -0,0 +1,528 @@
+/**
+ * HDFilmCehennemi Stremio Addon - HTTP Client Module
+ *
+ * The one upstream HTTP client used by search, scraper, catalog, meta and the /proxy routes.
+ *
+ * Each request runs under a policy, picked by host (site mirrors use 'site')
+ * or named by the caller:
+ *   - site:    site and embed pages - Cloudflare detection, proxy fallback
+ *   - default: other hosts (CDN playlists, subtitles)
+ *   - stream:  video playlists/segments relayed by /proxy/* - short retries, high concurrency,
+ *              proxy fallback after a direct 403 (CDNs may block the same server IPs
+ *              the site does); PROXY_ENABLED=always doesn't apply
+ *
+ * Policies set timeouts, retries with exponential backoff, proxy eligibility,
+ * challenge detection and per-host rate and concurrency limits (see scheduler).
+ * Failures are thrown as NetworkError (with statusCode for HTTP errors) or
+ * TimeoutError; hosts that keep failing get their circuit opened and fail fast
+ * with CircuitOpenError (see breaker). Only direct attempts count against a host -
+ * running out of working proxies doesn't.
+ *
+ * A 429 pauses direct requests to that host for its Retry-After; requests wait out
+ * the pause, or fail with RateLimitError if it's longer than the policy's maxRateLimitWait.
+ *
+ * Requests may name a session (e.g. one playback). Once a session had to fall back
+ * to a proxy, its later requests go straight to that same proxy, so playlist and
+ * segment fetches keep one exit IP; if it fails, the next working proxy takes over.
+ *
+ * @module http
+ */
+
+const { fetch, Response } = require('undici');
+const { createLogger } = require('./logger');
+const { NetworkError, TimeoutError, CircuitOpenError, RateLimitError } = require('./errors');
+const { getWorkingProxy, markProxyGood, markProxyBad, createProxyAgent, isProxyEnabled, isProxyAlways } = require('./proxy');
+const { isSiteUrl, noteResponseUrl, reportFailure } = require('./domains');
+const { createSingleFlight } = require('./singleflight');
+const { checkCircuit, releaseProbe, isCircuitOpen, recordSuccess, recordFailure } = require('./breaker');
+const { schedule, currentPriority } = require('./scheduler');
+
+const log = createLogger('HTTP');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const BROWSER_HEADERS = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'tr-TR,tr;q=0.9,en;q=0.8',
+};
+
+// Request policies
+const POLICIES = {
+    site: {
+        timeout: 15000,        // 15 seconds
+        maxRetries: 3,         // Attempts per connection (direct or each proxy)
+        retryDelay: 1000,      // Base delay for exponential backoff (ms)
+        maxConcurrent: 5,      // Max concurrent requests per host
+        proxy: true,           // Fall back to proxies when Cloudflare blocks us
+        proxyAlways: true,     // PROXY_ENABLED=always sends these straight to proxies
+        proxyHttpErrors: true, // An HTTP error through a proxy (Cloudflare block) counts against the proxy
+        maxProxyAttempts: 5,   // Max number of different proxies to try
+        detectChallenge: true, // Treat Cloudflare challenge pages as blocked
+        maxRateLimitWait: 10000, // Longest Retry-After pause worth waiting out (ms)
+        headers: BROWSER_HEADERS
+    },
+    default: {
+        timeout: 15000,
+        maxRetries: 3,
+        retryDelay: 1000,
+        maxConcurrent: 5,
+        proxy: false,
+        detectChallenge: false,
+        maxRateLimitWait: 10000,
+        headers: BROWSER_HEADERS
+    },
+    stream: {
+        timeout: 20000,
+        maxRetries: 2,         // Players retry segments themselves
+        retryDelay: 250,
+        maxConcurrent: 32,
+        rate: 50,              // Segments for several viewers at once (site/default use UPSTREAM_RATE)
+        burst: 100,
+        proxy: true,
+        proxyAlways: false,    // Every segment of every viewer through public proxies is too much
+        proxyHttpErrors: false, // Expired tokens or a wrong referer aren't the proxy's fault
+        maxProxyAttempts: 3,
+        detectChallenge: false,
+        maxRateLimitWait: 5000,
+        headers: { 'User-Agent': USER_AGENT }
+    }
+};
+
+const DEFAULT_RATE_LIMIT_PAUSE = 5000;   // 429 without Retry-After (ms)
+const MAX_RATE_LIMIT_PAUSE = 10 * 60 * 1000; // Ignore absurd Retry-After values beyond this (ms)
+
+const SESSION_TTL = 30 * 60 * 1000; // Forget a session's proxy after this long unused (ms)
+
+const CHALLENGE_MARKERS = ['cf-browser-verification', 'Just a moment', 'challenge-platform'];
+
+// Hosts that answered 429: host → time direct requests may resume (ms since epoch)
+const pausedHosts = new Map();
+
+// Sessions that fell back to a proxy: session → { proxy, lastUsed }
+const sessionProxies = new Map();
+
+/**
+ * Sleep for specified milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Pick the policy for a request
+ * @param {string} url - Request URL
+ * @param {string} [name] - Explicit policy name
+ * @returns {Object} Policy
+ */
+function getPolicy(url, name) {
+    if (name && POLICIES[name]) return POLICIES[name];
+    return isSiteUrl(url) ? POLICIES.site : POLICIES.default;
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number} Pause in ms
+ */
+function parseRetryAfter(value) {
+    if (!value) return DEFAULT_RATE_LIMIT_PAUSE;
+
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    if (Number.isNaN(ms)) return DEFAULT_RATE_LIMIT_PAUSE;
+
+    return Math.min(Math.max(ms, 0), MAX_RATE_LIMIT_PAUSE);
+}
+
+/**
+ * Pause direct requests to a host
+ * @param {string} host - Host that answered 429
+ * @param {number} ms - Pause length
+ */
+function pauseHost(host, ms) {
+    const until = Date.now() + ms;
+    if (until <= (pausedHosts.get(host) || 0)) return;
+
+    pausedHosts.set(host, until);
+    log.warn(`⏸️ ${host} is rate limiting us, pausing requests for ${Math.ceil(ms / 1000)}s`);
+}
+
+/**
+ * Wait until a rate limited host accepts requests again
+ * @param {string} url - Request URL
+ * @param {Object} policy - Request policy
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the pause is longer than the policy is willing to wait
+ */
+async function waitForHost(url, policy) {
+    const host = new URL(url).host;
+    const wait = (pausedHosts.get(host) || 0) - Date.now();
+    if (wait <= 0) {
+        pausedHosts.delete(host);
+        return;
+    }
+
+    if (wait > policy.maxRateLimitWait) {
+        throw new RateLimitError(url, wait);
+    }
+
+    log.debug(`Waiting ${wait}ms for rate limited ${host}: ${url}`);
+    await sleep(wait);
+}
+
+/**
+ * Get the proxy a session is stuck to
+ * @param {string} [session] - Session ID
+ * @returns {Object|null} Proxy
+ */
+function getSessionProxy(session) {
+    const now = Date.now();
+    for (const [id, entry] of sessionProxies) {
+        if (now - entry.lastUsed > SESSION_TTL) sessionProxies.delete(id);
+    }
+
+    const entry = session ? sessionProxies.get(session) : null;
+    if (!entry) return null;
+
+    entry.lastUsed = now;
+    return entry.proxy;
+}
+
+/**
+ * Stick a session to the proxy that worked for it
+ * The first proxy wins - concurrent requests don't move the session around.
+ * @param {string} [session] - Session ID
+ * @param {Object} proxy - Proxy
+ */
+function setSessionProxy(session, proxy) {
+    if (!session || sessionProxies.has(session)) return;
+
+    sessionProxies.set(session, { proxy, lastUsed: Date.now() });
+    log.debug(`Session ${session} sticks to proxy ${proxy.type}://${proxy.address}`);
+}
+
+/**
+ * Unstick a session from a proxy that failed
+ * @param {string} [session] - Session ID
+ * @param {Object} proxy - Failed proxy
+ */
+function dropSessionProxy(session, proxy) {
+    if (session && sessionProxies.get(session)?.proxy.address === proxy.address) {
+        sessionProxies.delete(session);
+    }
+}
+
+/**
+ * Check if a page is a Cloudflare challenge instead of real content
+ * @param {string} text - Response body
+ * @returns {boolean}
+ */
+function isChallengePage(text) {
+    return CHALLENGE_MARKERS.some(marker => text.includes(marker));
+}
+
+/**
+ * Check if an error says the host itself is unhealthy: timeouts, connection errors and 5xx
+ * @param {Error} error - Typed error from a request
+ * @returns {boolean}
+ */
+function isHostFailure(error) {
+    return !(error.statusCode && error.statusCode < 500);
+}
+
+/**
+ * Retry only what may succeed next time: host failures and 429s (after the pause)
+ * @param {Error} error - Typed error from a request attempt
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (error instanceof RateLimitError) return false;
+    return error.statusCode === 429 || isHostFailure(error);
+}
+
+/**
+ * Make a single request attempt
+ * @param {string} url - URL to fetch
+ * @param {Object} init - Fetch init (method, headers, body)
+ * @param {Object} policy - Request policy
+ * @param {Object} [dispatcher] - Proxy agent
+ * @returns {Promise<Response>} OK response (body buffered when the policy detects challenges)
+ * @throws {NetworkError|TimeoutError|RateLimitError}
+ */
+async function attemptRequest(url, init, policy, dispatcher) {
+    const host = new URL(url).host;
+    // Rate limits are per client IP - a proxy has its own
+    if (!dispatcher) {
+        await waitForHost(url, policy);
+    }
+    const release = await schedule(url, policy);
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), policy.timeout);
+
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal, dispatcher });
+
+        if (!response.ok) {
+            if (response.status === 429 && !dispatcher) {
+                pauseHost(host, parseRetryAfter(response.headers.get('retry-after')));
+            }
+            await response.body?.cancel().catch(() => {});
+            throw new NetworkError(`HTTP ${response.status}: ${response.statusText}`, url, response.status);
+        }
+
+        if (isSiteUrl(url)) {
+            // Runs in the background when the new host needs a probe
+            noteResponseUrl(url, response.url);
+        }
+
+        if (!policy.detectChallenge) {
+            return response;
+        }
+
+        // Site pages are small - buffer them to look for a challenge page
+        const text = await response.text();
+        if (isChallengePage(text)) {
+            throw new NetworkError('Cloudflare challenge', url, 403, { challenge: true });
+        }
+
+        return new Response(text, { status: response.status, headers: response.headers });
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new TimeoutError(url, policy.timeout);
+        }
+        if (!(error instanceof NetworkError)) {
+            throw new NetworkError(error.message, url);
+        }
+        throw error;
+
+    } finally {
+        // Streamed bodies aren't covered by the timeout once headers arrived
+        clearTimeout(timeoutId);
+        release();
+    }
+}
+
+/**
+ * Request with retries and exponential backoff on one connection (direct or one proxy)
+ * @param {string} url - URL to fetch
+ * @param {Object} init - Fetch init
+ * @param {Object} policy - Request policy
+ * @param {Object} [proxy] - Proxy to use
+ * @returns {Promise<Response>}
+ * @throws {NetworkError|TimeoutError} Last error
+ */
+async function requestWithRetries(url, init, policy, proxy = null) {
+    const via = proxy ? ` via proxy ${proxy.type}://${proxy.address}` : '';
+    const dispatcher = proxy ? createProxyAgent(proxy) : undefined;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= policy.maxRetries; attempt++) {
+        // Other requests may have given up on the host meanwhile
+        if (attempt > 1 && isCircuitOpen(url)) {
+            checkCircuit(url);
+        }
+
+        try {
+            log.debug(`${init.method || 'GET'}${via} (attempt ${attempt}/${policy.maxRetries}): ${url}`);
+            return await attemptRequest(url, init, policy, dispatcher);
+        } catch (error) {
+            lastError = error;
+            if (!isRetryable(error)) throw error;
+
+            // The next direct attempt waits for the host's Retry-After instead
+            if (error.statusCode === 429 && !proxy) continue;
+
+            if (attempt < policy.maxRetries) {
+                const delay = policy.retryDelay * Math.pow(2, attempt - 1);
+                log.warn(`Request failed${via}, retrying in ${delay}ms... (${error.message})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Try the request through working proxies until one succeeds
+ * @param {string} url - URL to fetch
+ * @param {Object} init - Fetch init
+ * @param {Object} policy - Request policy
+ * @param {string} [session] - Session ID (its proxy is tried first)
+ * @returns {Promise<Response>}
+ * @throws {NetworkError}
+ */
+async function requestViaProxies(url, init, policy, session) {
+    const sessionProxy = getSessionProxy(session);
+    if (!sessionProxy) {
+        log.info(`🔄 Proxy fallback activated for: ${url}`);
+    }
+
+    const triedProxies = new Set();
+
+    for (let proxyAttempt = 1; proxyAttempt <= policy.maxProxyAttempts; proxyAttempt++) {
+        const proxy = proxyAttempt === 1 && sessionProxy ? sessionProxy : await getWorkingProxy(triedProxies);
+
+        if (!proxy) {
+            log.warn(`No working proxy available (attempt ${proxyAttempt}/${policy.maxProxyAttempts})`);
+            // Wait a bit before trying again to allow proxy refresh
+            if (proxyAttempt < policy.maxProxyAttempts) {
+                await sleep(2000);
+            }
+            continue;
+        }
+
+        triedProxies.add(proxy.address);
+        if (proxy === sessionProxy) {
+            log.debug(`Using session proxy ${proxy.type}://${proxy.address}: ${url}`);
+        } else {
+            log.info(`📡 Trying proxy ${proxyAttempt}/${policy.maxProxyAttempts}: ${proxy.type}://${proxy.address}`);
+        }
+
+        const startTime = Date.now();
+        try {
+            const response = await requestWithRetries(url, init, policy, proxy);
+            markProxyGood(proxy, Date.now() - startTime);
+            setSessionProxy(session, proxy);
+            if (proxy !== sessionProxy) {
+                log.info(`✅ Fetch via proxy success: ${url}`);
+            }
+            return response;
+        } catch (error) {
+            // A 404 is the page's answer, not the proxy's fault; a full local queue never sent anything
+            if (error.statusCode === 404 || error instanceof CircuitOpenError || error instanceof RateLimitError) throw error;
+            // So is any HTTP answer, unless the policy reads it as the proxy being blocked
+            if (error.statusCode && !policy.proxyHttpErrors) throw error;
+
+            log.warn(`Proxy ${proxy.type}://${proxy.address} failed (${error.message}), trying next proxy...`);
+            markProxyBad(proxy);
+            dropSessionProxy(session, proxy);
+        }
+    }
+
+    // Dead proxies say nothing about the host - see request()
+    throw new NetworkError(`All ${policy.maxProxyAttempts} proxy attempts failed`, url, null, { proxiesExhausted: true });
+}
+
+/**
+ * Make an upstream request
+ * Site and stream requests go direct first and switch to proxies when Cloudflare
+ * (or a CDN) blocks them, or always, with PROXY_ENABLED=always.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Request options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {Object} [options.headers] - Extra headers (merged over the policy's headers)
+ * @param {string} [options.referer] - Referer (also sets Origin)
+ * @param {'site'|'default'|'stream'} [options.policy] - Policy name (default: by host)
+ * @param {string} [options.session] - Session ID; keeps requests that needed a proxy on one proxy
+ * @param {boolean} [options.allowProxy=true] - False: never use proxies, whatever the policy says
+ * @returns {Promise<Response>} OK response
+ * @throws {NetworkError|TimeoutError|CircuitOpenError|RateLimitError}
+ */
+async function request(url, options = {}) {
+    const policy = getPolicy(url, options.policy);
+    const headers = { ...policy.headers };
+    if (options.referer) {
+        headers['Referer'] = options.referer;
+        headers['Origin'] = new URL(options.referer).origin;
+    }
+    Object.assign(headers, options.headers);
+
+    const init = { method: options.method || 'GET', headers };
+    const canUseProxy = policy.proxy && options.allowProxy !== false;
+    const probing = checkCircuit(url);
+
+    try {
+        const response = await requestDirectOrViaProxies(url, init, policy, canUseProxy, options.session);
+        recordSuccess(url);
+        return response;
+
+    } catch (error) {
+        // Turned away before reaching the host - says nothing about its health
+        if (error instanceof CircuitOpenError || error instanceof RateLimitError) {
+            if (probing) releaseProbe(url);
+            throw error;
+        }
+
+        if (error.details?.proxiesExhausted) {
+            // The direct attempt was blocked or skipped - dead proxies don't count against the host
+            if (probing) releaseProbe(url);
+            log.error(`All attempts failed for: ${url} (${error.message})`);
+        } else if (isHostFailure(error)) {
+            recordFailure(url);
+            // Connection errors, timeouts and 5xx from a mirror may mean the domain moved
+            if (isSiteUrl(url)) reportFailure(url);
+            log.error(`All attempts failed for: ${url} (${error.message})`);
+        } else {
+            // Any HTTP answer (429 included) means the host is up
+            recordSuccess(url);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Request directly, switching to proxies when Cloudflare (or a CDN) blocks us
+ * A session that already fell back to a proxy skips the direct attempt.
+ * @param {string} url - URL to fetch
+ * @param {Object} init - Fetch init
+ * @param {Object} policy - Request policy
+ * @param {boolean} canUseProxy - Policy and caller allow proxies
+ * @param {string} [session] - Session ID
+ * @returns {Promise<Response>}
+ * @throws {NetworkError|TimeoutError}
+ */
+async function requestDirectOrViaProxies(url, init, policy, canUseProxy, session) {
+    const skipDirect = canUseProxy && ((policy.proxyAlways && isProxyAlways()) || getSessionProxy(session));
+
+    if (!skipDirect) {
+        try {
+            return await requestWithRetries(url, init, policy);
+        } catch (error) {
+            // Blocks (403 or challenge page) are what proxies are for
+            if (!(canUseProxy && error.statusCode === 403 && isProxyEnabled())) throw error;
+            log.warn(`Block detected on ${new URL(url).host} (${error.details?.challenge ? 'challenge' : '403'}), will try proxy...`);
+        }
+    }
+
+    return await requestViaProxies(url, init, policy, session);
+}
+
+// Concurrent text requests with identical parameters and priority share one fetch
+const inflightTexts = createSingleFlight('http');
+
+/**
+ * GET a URL as text
+ * Concurrent calls with the same URL and options share one request; background calls
+ * coalesce separately, so an interactive caller never waits at background priority.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Request options (see request)
+ * @returns {Promise<string>} Response body
+ * @throws {NetworkError|TimeoutError}
+ */
+function getText(url, options = {}) {
+    const key = [
+        url,
+        options.referer || '',
+        options.policy || '',
+        JSON.stringify(options.headers || {}),
+        currentPriority()
+    ].join('|');
+
+    return inflightTexts.run(key, async () => {
+        const response = await request(url, options);
+        const text = await response.text();
+        log.debug(`GET success: ${url} (${text.length} bytes)`);
+        return text;
+    });
+}
+
+module.exports = {
+    request,
+    getText
+};
@@ -0,0 +1,119 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Content ID Module
+ *
+ * Site-native content IDs for titles without an IMDb ID.
+ *
+ * Format:
+ *   hdfc:<slug>                      - movie or series page
+ *   hdfc:<slug>:<season>:<episode>   - series episode
+ *
+ * The slug is the page path on HDFilmCehennemi (e.g., wake-up-dead-man-a-knives-out-mystery).
+ *
+ * @module ids
+ */
+
+const { getSiteBase } = require('./domains');
+
+const ID_PREFIX = 'hdfc:';
+
+const SLUG_REGEX = /^[a-z0-9][a-z0-9\-\/]*$/i;
+
+/**
+ * Validate a page slug
+ * @param {string} slug - Slug to validate
+ * @returns {boolean} True if valid
+ */
+function isValidSlug(slug) {
+    return typeof slug === 'string' && SLUG_REGEX.test(slug) && !slug.includes('//');
+}
+
+/**
+ * Extract the page slug from a content URL
+ * @param {string} url - Content page URL (absolute or site-relative)
+ * @returns {string|null} Slug or null if the URL has no path
+ */
+function slugFromUrl(url) {
+    try {
+        const slug = new URL(url, getSiteBase()).pathname.replace(/^\/+|\/+$/g, '');
+        return isValidSlug(slug) ? slug : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build the page URL for a slug
+ * @param {string} slug - Page slug
+ * @returns {string} Content page URL
+ */
+function urlFromSlug(slug) {
+    return `${getSiteBase()}/${slug}/`;
+}
+
+/**
+ * Build a site-native content ID
+ * @param {string} slug - Page slug
+ * @param {number} [season] - Season number (episodes only)
+ * @param {number} [episode] - Episode number (episodes only)
+ * @returns {string} Content ID
+ */
+function buildContentId(slug, season = null, episode = null) {
+    const base = `${ID_PREFIX}${slug}`;
+    return season && episode ? `${base}:${season}:${episode}` : base;
+}
+
+/**
+ * Check if an ID uses the site-native scheme
+ * @param {string} id - Stremio ID
+ * @returns {boolean}
+ */
+function isContentId(id) {
+    return typeof id === 'string' && id.startsWith(ID_PREFIX);
+}
+
+/**
+ * Parse a Stremio ID (IMDb or site-native) with optional season/episode suffix
+ * @param {string} id - Stremio ID (e.g., tt0944947:1:2 or hdfc:dark:1:2)
+ * @returns {{scheme: 'imdb'|'hdfc', baseId: string, slug?: string, season: string|null, episode: string|null}|null}
+ *          Parsed ID or null if the scheme is unknown or the slug is malformed
+ */
+function parseStremioId(id) {
+    if (!id || typeof id !== 'string') return null;
+
+    if (isContentId(id)) {
+        const [slug, season = null, episode = null] = id.slice(ID_PREFIX.length).split(':');
+        if (!isValidSlug(slug)) return null;
+        return { scheme: 'hdfc', baseId: buildContentId(slug), slug, season, episode };
+    }
+
+    const [imdbId, season = null, episode = null] = id.split(':');
+    if (!imdbId.startsWith('tt')) return null;
+    return { scheme: 'imdb', baseId: imdbId, season, episode };
+}
+
+/**
+ * Turn a slug into a readable title (used when the page title is unknown)
+ * @param {string} slug - Page slug
+ * @returns {string} Title-cased name
+ */
+function titleFromSlug(slug) {
+    return slug
+        .split('/')
+        .pop()
+        .replace(/-izle$/i, '')
+        .split('-')
+        .filter(Boolean)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+module.exports = {
+    ID_PREFIX,
+    isValidSlug,
+    slugFromUrl,
+    urlFromSlug,
+    buildContentId,
+    isContentId,
+    parseStremioId,
+    titleFromSlug
+};
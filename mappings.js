@@ -0,0 +1,250 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Mapping Store Module
+ *
+ * Persistent IMDb ID → site page mappings, consulted by findContent before searching.
+ *
+ * Entries come from two places:
+ *   - auto:   saved after every successful search/title resolution
+ *   - manual: overrides added through the admin API, never replaced by auto entries
+ *
+ * Series entries may carry a season offset for pages that number seasons
+ * differently from IMDb (Stremio season N → site season N + offset).
+ *
+ * Stored as JSON in MAPPINGS_FILE (default data/mappings.json).
+ *
+ * @module mappings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { ValidationError } = require('./errors');
+const { isValidSlug, slugFromUrl, urlFromSlug, titleFromSlug } = require('./ids');
+const { getCache } = require('./cache');
+const { onDomainChange } = require('./domains');
+
+const log = createLogger('Mappings');
+
+// Configuration
+const CONFIG = {
+    file: process.env.MAPPINGS_FILE || path.join(__dirname, 'data', 'mappings.json'),
+    maxSeasonOffset: 50 // Sanity limit for season offsets
+};
+
+const TYPES = ['movie', 'series'];
+
+// imdbId → entry
+const mappings = loadMappings();
+
+// Stored pages follow the site to its new domain
+onDomainChange((group, from, to) => {
+    if (group !== 'site') return;
+
+    let changed = 0;
+    for (const entry of mappings.values()) {
+        if (entry.url.startsWith(`${from}/`)) {
+            entry.url = to + entry.url.slice(from.length);
+            changed++;
+        }
+    }
+
+    if (changed > 0) {
+        saveMappings();
+        log.info(`Rewrote ${changed} mappings: ${from} -> ${to}`);
+    }
+});
+
+/**
+ * Load mappings from disk
+ * @returns {Map<string, Object>}
+ */
+function loadMappings() {
+    try {
+        const data = JSON.parse(fs.readFileSync(CONFIG.file, 'utf-8'));
+        const entries = new Map(Object.entries(data));
+        log.info(`Loaded ${entries.size} mappings from ${CONFIG.file}`);
+        return entries;
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn(`Failed to load mappings file: ${error.message}`);
+        }
+        return new Map();
+    }
+}
+
+/**
+ * Write mappings to disk (atomic: temp file + rename)
+ */
+function saveMappings() {
+    try {
+        fs.mkdirSync(path.dirname(CONFIG.file), { recursive: true });
+        const tmp = `${CONFIG.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(mappings), null, 2));
+        fs.renameSync(tmp, CONFIG.file);
+    } catch (error) {
+        log.error(`Failed to write mappings file: ${error.message}`);
+    }
+}
+
+/**
+ * Validate mapping fields and normalize the page to a URL
+ * @param {{type?: string, url?: string, slug?: string, title?: string, seasonOffset?: number}} data - Fields to validate
+ * @returns {{type: string, url: string, title: string, seasonOffset: number}}
+ * @throws {ValidationError}
+ */
+function validateMapping(data) {
+    if (!TYPES.includes(data.type)) {
+        throw new ValidationError('Tür movie veya series olmalı', 'type', data.type);
+    }
+
+    const slug = data.slug || (data.url ? slugFromUrl(data.url) : null);
+    if (!isValidSlug(slug)) {
+        throw new ValidationError('Geçerli bir sayfa adresi (url) veya slug gerekli', 'url', data.url || data.slug);
+    }
+
+    const seasonOffset = data.seasonOffset === undefined || data.seasonOffset === null ? 0 : Number(data.seasonOffset);
+    if (!Number.isInteger(seasonOffset) || Math.abs(seasonOffset) > CONFIG.maxSeasonOffset) {
+        throw new ValidationError('Sezon kayması tam sayı olmalı', 'seasonOffset', data.seasonOffset);
+    }
+    if (seasonOffset !== 0 && data.type !== 'series') {
+        throw new ValidationError('Sezon kayması sadece diziler için geçerli', 'seasonOffset', data.seasonOffset);
+    }
+
+    return {
+        type: data.type,
+        url: urlFromSlug(slug),
+        title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : titleFromSlug(slug),
+        seasonOffset
+    };
+}
+
+/**
+ * Get the stored mapping for an IMDb ID
+ * @param {string} imdbId - IMDb ID
+ * @returns {{imdbId: string, type: string, url: string, title: string, seasonOffset: number, source: 'auto'|'manual', updatedAt: string}|null}
+ */
+function getMapping(imdbId) {
+    return mappings.get(imdbId) || null;
+}
+
+/**
+ * List stored mappings
+ * @param {{source?: 'auto'|'manual'}} [filter] - Only entries from this source
+ * @returns {Array<Object>} Entries sorted by IMDb ID
+ */
+function listMappings(filter = {}) {
+    return [...mappings.values()]
+        .filter(entry => !filter.source || entry.source === filter.source)
+        .sort((a, b) => a.imdbId.localeCompare(b.imdbId));
+}
+
+/**
+ * Add or replace a manual override
+ * @param {string} imdbId - IMDb ID
+ * @param {{type: string, url?: string, slug?: string, title?: string, seasonOffset?: number}} data - Mapping fields
+ * @returns {Object} Stored entry
+ * @throws {ValidationError}
+ */
+function setMapping(imdbId, data) {
+    const entry = {
+        imdbId,
+        ...validateMapping(data),
+        source: 'manual',
+        updatedAt: new Date().toISOString()
+    };
+
+    mappings.set(imdbId, entry);
+    saveMappings();
+    forgetCachedResolution(imdbId);
+
+    log.info(`Mapping set: ${imdbId} -> ${entry.url}${entry.seasonOffset ? ` (season offset ${entry.seasonOffset})` : ''}`);
+    return entry;
+}
+
+/**
+ * Edit some fields of a stored mapping (the result becomes a manual override)
+ * @param {string} imdbId - IMDb ID
+ * @param {Object} patch - Fields to change
+ * @returns {Object|null} Updated entry, or null if there is no mapping
+ * @throws {ValidationError}
+ */
+function updateMapping(imdbId, patch) {
+    const current = mappings.get(imdbId);
+    if (!current) return null;
+
+    // A new slug/url replaces the old page (and its title, unless one is given)
+    const pageChanged = Boolean(patch.url || patch.slug);
+    return setMapping(imdbId, {
+        type: patch.type || current.type,
+        ...(pageChanged ? { url: patch.url, slug: patch.slug } : { url: current.url }),
+        title: patch.title !== undefined || pageChanged ? patch.title : current.title,
+        seasonOffset: patch.seasonOffset !== undefined ? patch.seasonOffset : current.seasonOffset
+    });
+}
+
+/**
+ * Delete a stored mapping
+ * @param {string} imdbId - IMDb ID
+ * @returns {boolean} True if a mapping was deleted
+ */
+function deleteMapping(imdbId) {
+    if (!mappings.delete(imdbId)) return false;
+
+    saveMappings();
+    forgetCachedResolution(imdbId);
+    log.info(`Mapping deleted: ${imdbId}`);
+    return true;
+}
+
+/**
+ * Remember a successful search resolution
+ * Manual overrides are never replaced.
+ * @param {string} imdbId - IMDb ID
+ * @param {'movie'|'series'} type - Content type
+ * @param {{url: string, title: string}} match - Resolved page
+ */
+function recordResolution(imdbId, type, match) {
+    const current = mappings.get(imdbId);
+    if (current && (current.source === 'manual' || current.url === match.url)) return;
+
+    try {
+        mappings.set(imdbId, {
+            imdbId,
+            ...validateMapping({ type, url: match.url, title: match.title }),
+            source: 'auto',
+            updatedAt: new Date().toISOString()
+        });
+        saveMappings();
+    } catch (error) {
+        log.debug(`Not storing resolution for ${imdbId}: ${error.message}`);
+    }
+}
+
+/**
+ * Map a Stremio season number to the site's season number
+ * @param {{seasonOffset?: number}|null} entry - Stored mapping
+ * @param {number|string} season - Stremio season
+ * @returns {number} Site season
+ */
+function mapSeason(entry, season) {
+    return parseInt(season) + ((entry && entry.seasonOffset) || 0);
+}
+
+/**
+ * Drop cached search results (including "not found") for an IMDb ID
+ * @param {string} imdbId - IMDb ID
+ */
+function forgetCachedResolution(imdbId) {
+    const cache = getCache('mapping');
+    TYPES.forEach(type => cache.delete(`${type}:${imdbId}`));
+}
+
+module.exports = {
+    getMapping,
+    listMappings,
+    setMapping,
+    updateMapping,
+    deleteMapping,
+    recordResolution,
+    mapSeason
+};
@@ -0,0 +1,195 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Title Matching Module
+ *
+ * Ranks site search results by type/year (IMDb ID search) and scores them
+ * against the requested title/year/type (title fallback).
+ *
+ * @module matching
+ */
+
+// Configuration
+const CONFIG = {
+    minConfidence: parseFloat(process.env.MATCH_MIN_CONFIDENCE) || 0.8, // Accept threshold (0-1)
+    titleWeight: 0.75,   // Share of the score coming from title similarity
+    yearWeight: 0.25,    // Share of the score coming from year distance
+    maxYearDistance: 2,  // Years apart at which the year score reaches 0
+    maxAmbiguousRecords: 50 // Recent ambiguous matches kept for inspection
+};
+
+// Recent ambiguous matches, newest last
+const ambiguousMatches = [];
+
+// Turkish letters folded to ASCII so "Çarpışma" matches "Carpisma"
+const TURKISH_FOLD = {
+    'ç': 'c', 'ğ': 'g', 'ı': 'i', 'ö': 'o', 'ş': 's', 'ü': 'u', 'â': 'a', 'î': 'i', 'û': 'u'
+};
+
+// Words the site appends to titles that never appear in IMDb titles
+const NOISE_WORDS = new Set(['izle', 'hd', 'full', 'turkce', 'dublaj', 'altyazili']);
+
+/**
+ * Normalize a title for comparison (Turkish-aware lowercase, ASCII fold, no punctuation)
+ * @param {string} title - Title to normalize
+ * @returns {string} Space separated normalized words
+ */
+function normalizeTitle(title) {
+    return String(title || '')
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[çğıöşüâîû]/g, ch => TURKISH_FOLD[ch])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !NOISE_WORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two titles after normalization (0-1)
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} 1 for identical normalized titles
+ */
+function titleSimilarity(a, b) {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const longest = Math.max(left.length, right.length);
+    return 1 - editDistance(left, right) / longest;
+}
+
+/**
+ * Score a site search result against the wanted title/year/type
+ * A result of the wrong type always scores 0.
+ * @param {{title: string, year: number|null, type: string}} candidate - Search result
+ * @param {{titles: string[], year: number|null, type: 'movie'|'series'}} wanted - Requested content
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreCandidate(candidate, wanted) {
+    if (wanted.type && candidate.type !== wanted.type) return 0;
+
+    const titleScore = Math.max(0, ...wanted.titles.map(title => titleSimilarity(candidate.title, title)));
+
+    // Unknown year on either side is neutral rather than a penalty
+    let yearScore = 0.5;
+    if (wanted.year && candidate.year) {
+        const distance = Math.abs(wanted.year - candidate.year);
+        yearScore = Math.max(0, 1 - distance / CONFIG.maxYearDistance);
+    }
+
+    return titleScore * CONFIG.titleWeight + yearScore * CONFIG.yearWeight;
+}
+
+/**
+ * Pick the best scoring candidate above the confidence threshold
+ * @param {Array<{title: string, year: number|null, type: string, url: string}>} candidates - Search results
+ * @param {{titles: string[], year: number|null, type: 'movie'|'series'}} wanted - Requested content
+ * @returns {{match: Object|null, score: number}} Best candidate (null if below threshold) and its score
+ */
+function pickBestMatch(candidates, wanted) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const candidate of candidates) {
+        const score = scoreCandidate(candidate, wanted);
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+
+    return {
+        match: bestScore >= CONFIG.minConfidence ? best : null,
+        score: bestScore
+    };
+}
+
+/**
+ * Rank search results for a known type and (optionally) year
+ * Results of the wrong type are rejected; exact year matches come first,
+ * then the closest year, then the site's own order.
+ * @param {Array<{title: string, year: number|null, type: string, url: string}>} results - Search results
+ * @param {{type: 'movie'|'series', year?: number|null}} wanted - Requested content
+ * @returns {{ranked: Array, rejected: number, ambiguous: boolean}}
+ *          ambiguous is true when several results remain and the year can't tell them apart
+ */
+function rankResults(results, wanted) {
+    const yearDistance = (r) => wanted.year && r.year ? Math.abs(wanted.year - r.year) : Infinity;
+
+    const ranked = results
+        .map((result, index) => ({ result, index, distance: yearDistance(result) }))
+        .filter(({ result }) => result.type === wanted.type)
+        .sort((a, b) => a.distance - b.distance || a.index - b.index);
+
+    const ambiguous = ranked.length > 1 && ranked[0].distance === ranked[1].distance;
+
+    return {
+        ranked: ranked.map(({ result }) => result),
+        rejected: results.length - ranked.length,
+        ambiguous
+    };
+}
+
+/**
+ * Record an ambiguous match so it can be reviewed (and corrected) later
+ * @param {{query: string, type: string, year: number|null, chosen: Object, candidates: Array}} entry
+ */
+function recordAmbiguousMatch(entry) {
+    ambiguousMatches.push({
+        query: entry.query,
+        type: entry.type,
+        year: entry.year || null,
+        chosen: entry.chosen.url,
+        candidates: entry.candidates.map(c => ({ title: c.title, year: c.year, url: c.url })),
+        at: new Date().toISOString()
+    });
+
+    if (ambiguousMatches.length > CONFIG.maxAmbiguousRecords) {
+        ambiguousMatches.shift();
+    }
+}
+
+/**
+ * Get recently recorded ambiguous matches
+ * @returns {Array<{query: string, type: string, year: number|null, chosen: string, candidates: Array, at: string}>}
+ */
+function getAmbiguousMatches() {
+    return [...ambiguousMatches];
+}
+
+module.exports = {
+    rankResults,
+    recordAmbiguousMatch,
+    getAmbiguousMatches,
+    normalizeTitle,
+    titleSimilarity,
+    scoreCandidate,
+    pickBestMatch
+};
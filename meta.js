@@ -0,0 +1,119 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Meta Module
+ *
+ * Builds full Stremio meta objects (including episode lists)
+ * from HDFilmCehennemi content pages.
+ *
+ * @module meta
+ */
+
+const cheerio = require('cheerio');
+const { getText } = require('./http');
+const { parseEpisodes } = require('./search');
+const { createLogger } = require('./logger');
+const { ContentNotFoundError, ValidationError } = require('./errors');
+const { parseStremioId, urlFromSlug, buildContentId } = require('./ids');
+const { getSiteBase } = require('./domains');
+
+const log = createLogger('Meta');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get an image URL from an <img>, preferring lazy-loaded sources
+ * @param {import('cheerio').Cheerio} img - Image element
+ * @returns {string|undefined}
+ */
+function imageUrl(img) {
+    const src = img.attr('data-src') || img.attr('src');
+    return src && !src.startsWith('data:') ? src : undefined;
+}
+
+/**
+ * Parse a content page into a Stremio meta object
+ * @param {string} html - Content page HTML
+ * @param {string} id - Content ID the meta belongs to
+ * @param {'movie'|'series'} type - Requested Stremio type
+ * @returns {Object} Stremio meta object
+ */
+function parseMetaPage(html, id, type) {
+    const $ = cheerio.load(html);
+
+    const name = ($('h1.section-title').first().text() || $('meta[property="og:title"]').attr('content') || '')
+        .replace(/\s+izle.*$/i, '')
+        .trim();
+
+    const poster = imageUrl($('aside.post-info-poster img').last()) ||
+        $('meta[property="og:image"]').attr('content');
+    const background = $('meta[property="og:image"]').attr('content') || poster;
+    const description = ($('article.post-info-content > p').first().text() ||
+        $('meta[name="description"]').attr('content') || '').trim();
+
+    const yearText = $('div.post-info-year-country a').first().text().trim();
+    const genres = $('div.post-info-genres a').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    const cast = $('div.post-info-cast a strong').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    const imdbRating = $('div.post-info-imdb-rating span').first().text().split('(')[0].trim();
+
+    const meta = {
+        id,
+        type,
+        name,
+        poster,
+        background,
+        description: description || undefined,
+        releaseInfo: /^\d{4}$/.test(yearText) ? yearText : undefined,
+        genres: genres.length ? genres : undefined,
+        cast: cast.length ? cast : undefined,
+        imdbRating: /^\d+(\.\d+)?$/.test(imdbRating) ? imdbRating : undefined
+    };
+
+    if (type === 'series') {
+        // The site has no air dates, so derive increasing dates from the
+        // release year to keep Stremio's episode order intact
+        const firstDay = Date.UTC(parseInt(meta.releaseInfo) || 1970, 0, 1);
+
+        const slug = parseStremioId(id).slug;
+
+        meta.videos = parseEpisodes($).map((ep, index) => ({
+            id: buildContentId(slug, ep.season, ep.episode),
+            title: ep.title || `${ep.season}. Sezon ${ep.episode}. Bölüm`,
+            season: ep.season,
+            episode: ep.episode,
+            released: new Date(firstDay + index * DAY_MS).toISOString()
+        }));
+    }
+
+    return meta;
+}
+
+/**
+ * Get Stremio meta for a site-native content ID
+ * @param {'movie'|'series'} type - Stremio type
+ * @param {string} id - Content ID in the form hdfc:<slug>
+ * @returns {Promise<{meta: Object}>}
+ * @throws {ValidationError|ContentNotFoundError|NetworkError}
+ */
+async function getMeta(type, id) {
+    const parsed = parseStremioId(id);
+    if (!parsed || parsed.scheme !== 'hdfc' || parsed.season) {
+        throw new ValidationError('Geçersiz içerik ID formatı (örnek: hdfc:film-adi)', 'id', id);
+    }
+
+    const url = urlFromSlug(parsed.slug);
+
+    log.info(`Meta request: ${type} - ${id}`);
+    const html = await getText(url, { referer: getSiteBase() });
+    const meta = parseMetaPage(html, id, type);
+
+    if (!meta.name) {
+        throw new ContentNotFoundError(id, { type, reason: 'meta_not_found' });
+    }
+
+    log.info(`Meta ${id}: ${meta.name}${meta.videos ? ` (${meta.videos.length} episodes)` : ''}`);
+    return { meta };
+}
+
+module.exports = {
+    getMeta,
+    parseMetaPage
+};
@@ -0,0 +1,139 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Metadata Module
+ *
+ * Looks up title/year for an IMDb ID so content can be matched by title
+ * when the site's IMDb ID search finds nothing.
+ *
+ * Sources are pluggable. Built-in:
+ *   - cinemeta: Stremio's public Cinemeta addon (default)
+ *   - file: local JSON file { "tt0499549": { "title": "Avatar", "year": 2009 }, ... }
+ *
+ * Select with METADATA_SOURCE=cinemeta|file (METADATA_FILE sets the file path).
+ *
+ * @module metadata
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fetch } = require('undici');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Metadata');
+
+// Configuration
+const CONFIG = {
+    source: process.env.METADATA_SOURCE || 'cinemeta',
+    cinemetaUrl: process.env.CINEMETA_URL || 'https://v3-cinemeta.strem.io',
+    file: process.env.METADATA_FILE || path.join(__dirname, 'data', 'metadata.json'),
+    timeout: 8000
+};
+
+/**
+ * Cinemeta metadata source
+ * @type {{name: string, getTitleInfo: function(string, string): Promise<Object|null>}}
+ */
+const cinemetaSource = {
+    name: 'cinemeta',
+
+    async getTitleInfo(type, imdbId) {
+        const url = `${CONFIG.cinemetaUrl}/meta/${type}/${imdbId}.json`;
+        const response = await fetch(url, { signal: AbortSignal.timeout(CONFIG.timeout) });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Cinemeta HTTP ${response.status}`);
+
+        const data = await response.json();
+        const meta = data && data.meta;
+        if (!meta || !meta.name) return null;
+
+        // releaseInfo is "2009" for movies and "2011-2019" / "2011-" for series
+        const year = parseInt(meta.year || meta.releaseInfo) || null;
+        return { title: meta.name, originalTitle: null, year };
+    }
+};
+
+/**
+ * Local JSON file metadata source (stand-in for Cinemeta, e.g. offline or for tests)
+ * The file is re-read when it changes on disk.
+ * @type {{name: string, getTitleInfo: function(string, string): Promise<Object|null>}}
+ */
+const fileSource = {
+    name: 'file',
+    cache: { mtimeMs: 0, entries: {} },
+
+    async getTitleInfo(type, imdbId) {
+        const stat = await fs.promises.stat(CONFIG.file);
+        if (stat.mtimeMs !== this.cache.mtimeMs) {
+            this.cache = {
+                mtimeMs: stat.mtimeMs,
+                entries: JSON.parse(await fs.promises.readFile(CONFIG.file, 'utf-8'))
+            };
+        }
+
+        const entry = this.cache.entries[imdbId];
+        if (!entry || !entry.title) return null;
+
+        return {
+            title: entry.title,
+            originalTitle: entry.originalTitle || null,
+            year: parseInt(entry.year) || null
+        };
+    }
+};
+
+const SOURCES = {
+    cinemeta: cinemetaSource,
+    file: fileSource
+};
+
+let activeSource = SOURCES[CONFIG.source] || cinemetaSource;
+
+/**
+ * Replace the metadata source (custom sources implement getTitleInfo(type, imdbId))
+ * @param {{name: string, getTitleInfo: function(string, string): Promise<Object|null>}} source
+ */
+function setMetadataSource(source) {
+    if (!source || typeof source.getTitleInfo !== 'function') {
+        throw new TypeError('Metadata source must implement getTitleInfo(type, imdbId)');
+    }
+    activeSource = source;
+    log.info(`Metadata source: ${source.name || 'custom'}`);
+}
+
+/**
+ * Get the active metadata source
+ * @returns {{name: string, getTitleInfo: function(string, string): Promise<Object|null>}}
+ */
+function getMetadataSource() {
+    return activeSource;
+}
+
+/**
+ * Get title and year for an IMDb ID from the active source
+ * null means the source has no entry. A failing source also returns null
+ * unless throwOnError is set, so callers that cache misses can tell the two apart.
+ * @param {'movie'|'series'} type - Content type
+ * @param {string} imdbId - IMDb ID
+ * @param {{throwOnError?: boolean}} [options] - Rethrow lookup errors instead of returning null
+ * @returns {Promise<{title: string, originalTitle: string|null, year: number|null}|null>}
+ */
+async function getTitleInfo(type, imdbId, options = {}) {
+    try {
+        const info = await activeSource.getTitleInfo(type, imdbId);
+        if (info) {
+            log.debug(`Metadata (${activeSource.name}): ${imdbId} -> ${info.title} (${info.year || '?'})`);
+        } else {
+            log.debug(`Metadata (${activeSource.name}): no entry for ${imdbId}`);
+        }
+        return info;
+    } catch (error) {
+        log.warn(`Metadata lookup failed (${activeSource.name}): ${error.message}`);
+        if (options.throwOnError) throw error;
+        return null;
+    }
+}
+
+module.exports = {
+    getTitleInfo,
+    getMetadataSource,
+    setMetadataSource
+};
@@ -0,0 +1,96 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Prefetch Module
+ *
+ * After a series episode is served, resolves the next episode in the background
+ * so its mapping, episode list and video URLs are already cached when the user
+ * presses "next". Prefetches wait a moment and run within a small concurrency
+ * budget so they never compete with requests a user is waiting on.
+ *
+ * @module prefetch
+ */
+
+const { createLogger } = require('./logger');
+const { findNextEpisode } = require('./search');
+const { runInBackground } = require('./scheduler');
+
+const log = createLogger('Prefetch');
+
+// Configuration
+const CONFIG = {
+    enabled: process.env.PREFETCH_ENABLED !== 'false',
+    concurrency: parseInt(process.env.PREFETCH_CONCURRENCY) || 1, // Max prefetches running at once
+    maxQueue: 20,   // Prefetches waiting beyond this are dropped
+    delay: 2000     // Wait before starting, so the current response goes out first (ms)
+};
+
+const queue = [];
+const pending = new Set(); // Keys queued or running
+let active = 0;
+
+/**
+ * Start queued prefetches while the concurrency budget allows
+ */
+function drain() {
+    while (active < CONFIG.concurrency && queue.length > 0) {
+        const { key, task } = queue.shift();
+        active++;
+
+        task()
+            .catch(error => log.debug(`Prefetch failed (${key}): ${error.message}`))
+            .finally(() => {
+                active--;
+                pending.delete(key);
+                drain();
+            });
+    }
+}
+
+/**
+ * Queue a background task
+ * @param {string} key - Dedup key (a key already queued or running is skipped)
+ * @param {function(): Promise<void>} task - Work to run
+ * @returns {boolean} True if queued
+ */
+function enqueue(key, task) {
+    if (pending.has(key)) return false;
+    if (queue.length >= CONFIG.maxQueue) {
+        log.debug(`Prefetch queue full, dropping ${key}`);
+        return false;
+    }
+
+    pending.add(key);
+    queue.push({ key, task });
+    setTimeout(drain, CONFIG.delay).unref();
+    return true;
+}
+
+/**
+ * Prefetch the episode after the one just served
+ * @param {{baseId: string, season: string, episode: string}} parsed - Parsed ID of the served episode
+ * @param {function(string, Object): Promise<*>} resolve - Resolves a Stremio ID (same path as stream requests, warms the caches)
+ */
+function prefetchNextEpisode(parsed, resolve) {
+    if (!CONFIG.enabled || !parsed.season || !parsed.episode) return;
+
+    const currentId = `${parsed.baseId}:${parsed.season}:${parsed.episode}`;
+
+    // Upstream requests of the prefetch yield to requests users are waiting on
+    enqueue(currentId, () => runInBackground(async () => {
+        const next = await findNextEpisode(parsed.baseId, parsed.season, parsed.episode);
+        if (!next) {
+            log.debug(`No episode after ${currentId}`);
+            return;
+        }
+
+        const nextId = `${parsed.baseId}:${next.season}:${next.episode}`;
+        log.info(`Prefetching next episode: ${nextId}`);
+
+        const startTime = Date.now();
+        await resolve(nextId, { ...parsed, season: String(next.season), episode: String(next.episode) });
+        log.info(`Prefetched ${nextId} (${Date.now() - startTime}ms)`);
+    }));
+}
+
+module.exports = {
+    prefetchNextEpisode
+};
@@ -0,0 +1,213 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Proxy Sources Module
+ *
+ * Registry of public proxy list sources. Each source declares where its list
+ * lives, which protocol its proxies speak and how to parse the response:
+ *   - text: one "ip:port" per line
+ *   - url:  one "protocol://ip:port" per line (protocol per entry)
+ *   - json: array at a dot path (e.g. "data"), fields for ip, port and protocol
+ *   - csv:  header row, columns for ip, port and protocol
+ *
+ * The built-in Turkey sources can be replaced with a JSON file (PROXY_SOURCES_FILE)
+ * holding an array of sources, e.g.
+ *   [{ "name": "geonode-http", "url": "https://...", "protocol": "http",
+ *      "format": "json", "path": "data", "fields": { "ip": "ip", "port": "port" } }]
+ *
+ * @module proxysources
+ */
+
+const fs = require('fs');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ProxySources');
+
+// Configuration
+const CONFIG = {
+    sourcesFile: process.env.PROXY_SOURCES_FILE || ''
+};
+
+const PROXY_TYPES = ['http', 'https', 'socks4', 'socks5'];
+
+const DEFAULT_FIELDS = { ip: 'ip', port: 'port', protocol: 'protocol' };
+
+// Built-in sources - Turkey only
+const DEFAULT_SOURCES = [
+    {
+        // ProxyScrape - Turkey HTTP proxies (most reliable, ~11 proxies)
+        name: 'proxyscrape-http',
+        url: 'https://api.proxyscrape.com/v4/free-proxy-list/get?request=displayproxies&protocol=http&timeout=10000&country=TR&ssl=all&anonymity=all&skip=0',
+        protocol: 'http',
+        format: 'text'
+    },
+    {
+        // Proxy-List.download - Turkey HTTP (no anon filter = all anonymity levels)
+        name: 'proxy-list-download-http',
+        url: 'https://www.proxy-list.download/api/v1/get?type=http&country=TR',
+        protocol: 'http',
+        format: 'text'
+    },
+    {
+        // Geonode - Turkey HTTP (JSON format, no anonymity filter = all levels)
+        name: 'geonode-http',
+        url: 'https://proxylist.geonode.com/api/proxy-list?country=TR&protocols=http&page=1&sort_by=lastChecked&sort_type=desc&limit=100',
+        protocol: 'http',
+        format: 'json',
+        path: 'data'
+    },
+    {
+        // Geonode - Turkey SOCKS4
+        name: 'geonode-socks4',
+        url: 'https://proxylist.geonode.com/api/proxy-list?country=TR&protocols=socks4&page=1&sort_by=lastChecked&sort_type=desc&limit=100',
+        protocol: 'socks4',
+        format: 'json',
+        path: 'data'
+    },
+    {
+        // Geonode - Turkey SOCKS5
+        name: 'geonode-socks5',
+        url: 'https://proxylist.geonode.com/api/proxy-list?country=TR&protocols=socks5&page=1&sort_by=lastChecked&sort_type=desc&limit=100',
+        protocol: 'socks5',
+        format: 'json',
+        path: 'data'
+    }
+];
+
+/**
+ * Build a proxy entry, dropping anything that isn't a usable host:port
+ * @param {*} host - IP or hostname
+ * @param {*} port - Port number
+ * @param {*} protocol - Proxy protocol
+ * @returns {{address: string, type: string}|null}
+ */
+function toProxy(host, port, protocol) {
+    const type = String(protocol || '').toLowerCase();
+    const address = `${String(host || '').trim()}:${String(port || '').trim()}`;
+    if (!PROXY_TYPES.includes(type) || !/^[\w.-]+:\d{1,5}$/.test(address)) return null;
+    return { address, type };
+}
+
+/**
+ * Expand a protocol field that may list several protocols (e.g. geonode's "protocols": ["http", "https"])
+ * @param {*} value - Field value
+ * @param {string} [fallback] - Source protocol
+ * @returns {string[]}
+ */
+function protocolsOf(value, fallback) {
+    if (fallback) return [fallback];
+    if (Array.isArray(value)) return value;
+    return String(value || '').split(/[\s,;|]+/);
+}
+
+// Response parsers: (body, source) → proxies
+const PARSERS = {
+    text(body, source) {
+        return body
+            .split(/[\n\r]+/)
+            .map(line => line.trim().split(':'))
+            .map(([host, port]) => toProxy(host, port, source.protocol));
+    },
+
+    url(body, source) {
+        return body
+            .split(/[\n\r]+/)
+            .map(line => line.trim().match(/^(?:([a-z0-9]+):\/\/)?([^\s/:]+):(\d+)\/?$/i))
+            .map(match => match && toProxy(match[2], match[3], match[1] || source.protocol));
+    },
+
+    json(body, source) {
+        const fields = { ...DEFAULT_FIELDS, ...source.fields };
+        let items = JSON.parse(body);
+        for (const key of (source.path || '').split('.').filter(Boolean)) {
+            items = items?.[key];
+        }
+        if (!Array.isArray(items)) return [];
+
+        return items.flatMap(item => protocolsOf(item[fields.protocol], source.protocol)
+            .map(protocol => toProxy(item[fields.ip], item[fields.port], protocol)));
+    },
+
+    csv(body, source) {
+        const fields = { ...DEFAULT_FIELDS, ...source.fields };
+        const [header, ...rows] = body.split(/[\n\r]+/).filter(line => line.trim());
+        if (!header) return [];
+
+        const columns = header.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+        const index = (name) => columns.indexOf(name);
+
+        return rows.flatMap((row) => {
+            const cells = row.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+            return protocolsOf(cells[index(fields.protocol)], source.protocol)
+                .map(protocol => toProxy(cells[index(fields.ip)], cells[index(fields.port)], protocol));
+        });
+    }
+};
+
+/**
+ * Check a source definition
+ * @param {Object} source - Source from the built-ins or PROXY_SOURCES_FILE
+ * @returns {string|null} Problem description, or null if usable
+ */
+function validateSource(source) {
+    if (!source || typeof source !== 'object') return 'not an object';
+    if (!/^https?:\/\//.test(source.url || '')) return 'url must be http(s)';
+    if (!PARSERS[source.format]) return `unknown format "${source.format}" (${Object.keys(PARSERS).join(', ')})`;
+    if (source.protocol && !PROXY_TYPES.includes(source.protocol)) return `unknown protocol "${source.protocol}"`;
+    if (!source.protocol && source.format === 'text') return 'text sources need a protocol';
+    return null;
+}
+
+/**
+ * Load sources from PROXY_SOURCES_FILE, or the built-ins
+ * @returns {Object[]}
+ */
+function loadSources() {
+    if (!CONFIG.sourcesFile) return DEFAULT_SOURCES;
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(CONFIG.sourcesFile, 'utf-8'));
+    } catch (error) {
+        log.warn(`Failed to load proxy sources file, using built-in sources: ${error.message}`);
+        return DEFAULT_SOURCES;
+    }
+
+    const sources = [];
+    (Array.isArray(data) ? data : []).forEach((source, i) => {
+        const problem = validateSource(source);
+        if (problem) {
+            log.warn(`Ignoring proxy source ${source?.name || `#${i + 1}`}: ${problem}`);
+            return;
+        }
+        sources.push({ name: source.name || new URL(source.url).host, ...source });
+    });
+
+    log.info(`Loaded ${sources.length} proxy sources from ${CONFIG.sourcesFile}`);
+    return sources;
+}
+
+const sources = loadSources();
+
+/**
+ * Get the configured proxy sources
+ * @returns {Array<{name: string, url: string, protocol?: string, format: string, path?: string, fields?: Object}>}
+ */
+function getProxySources() {
+    return sources;
+}
+
+/**
+ * Parse a source's response into proxies
+ * @param {string} body - Response body
+ * @param {Object} source - Source definition
+ * @returns {Array<{address: string, type: string}>} Valid proxies (invalid entries dropped)
+ * @throws {SyntaxError} If a JSON source returned invalid JSON
+ */
+function parseSourceBody(body, source) {
+    return PARSERS[source.format](body, source).filter(Boolean);
+}
+
+module.exports = {
+    PROXY_TYPES,
+    getProxySources,
+    parseSourceBody
+};
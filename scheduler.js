@@ -0,0 +1,174 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Upstream Scheduler Module
+ *
+ * Every upstream request waits here for its turn. Per host and set of limits
+ * (so each policy keeps its own budget for a shared host), a token bucket caps
+ * the request rate (with a burst allowance) and a concurrency limit caps
+ * requests in flight. Waiting requests are served by priority:
+ *   - interactive: requests a user is waiting on (default)
+ *   - background:  prefetch and other jobs, run inside runInBackground()
+ * When a queue is full the request is rejected with RateLimitError
+ * instead of piling up; background requests are rejected at half the depth.
+ *
+ * @module scheduler
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger');
+const { RateLimitError } = require('./errors');
+
+const log = createLogger('Scheduler');
+
+// Configuration
+const CONFIG = {
+    rate: parseFloat(process.env.UPSTREAM_RATE) || 5,          // Requests per second per host
+    burst: parseInt(process.env.UPSTREAM_BURST) || 10,         // Requests allowed at once after idling
+    maxQueue: parseInt(process.env.UPSTREAM_QUEUE_MAX) || 50   // Waiting requests per host before rejecting
+};
+
+const PRIORITIES = ['interactive', 'background'];
+
+// "host|rate/burst/maxConcurrent" → { tokens, refilledAt, active, limits, queues: { interactive: [], background: [] }, timer }
+const buckets = new Map();
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a job whose upstream requests yield to interactive ones
+ * @template T
+ * @param {function(): Promise<T>} fn - Job
+ * @returns {Promise<T>}
+ */
+function runInBackground(fn) {
+    return context.run({ priority: 'background' }, fn);
+}
+
+/**
+ * Priority of the current async context
+ * @returns {'interactive'|'background'}
+ */
+function currentPriority() {
+    return context.getStore()?.priority || 'interactive';
+}
+
+/**
+ * @param {string} key - Bucket key
+ * @param {{rate: number, burst: number, maxConcurrent: number}} limits - Resolved limits
+ * @returns {Object} Bucket state
+ */
+function getBucket(key, limits) {
+    let state = buckets.get(key);
+    if (!state) {
+        state = {
+            tokens: limits.burst,
+            refilledAt: Date.now(),
+            active: 0,
+            limits,
+            queues: { interactive: [], background: [] },
+            timer: null
+        };
+        buckets.set(key, state);
+    }
+    return state;
+}
+
+/**
+ * Add the tokens earned since the last refill
+ * @param {Object} state - Bucket state
+ */
+function refill(state) {
+    const now = Date.now();
+    const { rate, burst } = state.limits;
+    state.tokens = Math.min(burst, state.tokens + (now - state.refilledAt) / 1000 * rate);
+    state.refilledAt = now;
+}
+
+/**
+ * @param {Object} state - Bucket state
+ * @returns {number} Requests waiting
+ */
+function queuedCount(state) {
+    return state.queues.interactive.length + state.queues.background.length;
+}
+
+/**
+ * Start waiting requests while tokens and concurrency allow
+ * @param {string} key - Bucket key
+ */
+function drain(key) {
+    const state = buckets.get(key);
+    if (!state) return;
+
+    refill(state);
+
+    while (queuedCount(state) > 0 && state.active < state.limits.maxConcurrent && state.tokens >= 1) {
+        const queue = PRIORITIES.map(priority => state.queues[priority]).find(q => q.length > 0);
+        state.tokens--;
+        state.active++;
+        queue.shift()();
+    }
+
+    if (queuedCount(state) > 0) {
+        // Out of tokens - come back when the next one is earned
+        if (state.tokens < 1 && !state.timer) {
+            const wait = Math.ceil((1 - state.tokens) / state.limits.rate * 1000);
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                drain(key);
+            }, wait);
+        }
+    } else if (state.active === 0 && state.tokens >= state.limits.burst) {
+        // Idle with a full bucket - nothing to remember
+        buckets.delete(key);
+    }
+}
+
+/**
+ * Wait for a turn to send a request to a host
+ * @param {string} url - Request URL
+ * @param {Object} limits - Per-host limits (from the request policy)
+ * @param {number} [limits.rate] - Requests per second (default: UPSTREAM_RATE)
+ * @param {number} [limits.burst] - Bucket size (default: UPSTREAM_BURST)
+ * @param {number} limits.maxConcurrent - Requests in flight
+ * @param {'interactive'|'background'} [priority] - Default: from the async context
+ * @returns {Promise<function(): void>} Call to release the slot when the request is done
+ * @throws {RateLimitError} If the host's queue is full
+ */
+async function schedule(url, limits, priority = currentPriority()) {
+    const host = new URL(url).host;
+    const resolved = {
+        rate: limits.rate || CONFIG.rate,
+        burst: limits.burst || CONFIG.burst,
+        maxConcurrent: limits.maxConcurrent
+    };
+    // Each policy gets its own bucket, so a slow policy can't throttle a fast one on a shared host
+    const key = `${host}|${resolved.rate}/${resolved.burst}/${resolved.maxConcurrent}`;
+    const state = getBucket(key, resolved);
+
+    // Background work gets only half the queue, so it's turned away before users are
+    const maxQueue = priority === 'background' ? Math.floor(CONFIG.maxQueue / 2) : CONFIG.maxQueue;
+    const queued = queuedCount(state);
+    if (queued >= maxQueue) {
+        log.warn(`Queue for ${host} full (${queued} waiting), rejecting ${priority} request`);
+        throw new RateLimitError(url, Math.ceil(queued / state.limits.rate * 1000));
+    }
+
+    await new Promise((resolve) => {
+        state.queues[priority].push(resolve);
+        drain(key);
+    });
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        state.active--;
+        drain(key);
+    };
+}
+
+module.exports = {
+    schedule,
+    runInBackground,
+    currentPriority
+};
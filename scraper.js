@@ -6,293 +6,25 @@
  * @module scraper
  */
 
-const { fetch } = require('undici');
 const cheerio = require('cheerio');
 const { createLogger } = require('./logger');
-const { ScrapingError, NetworkError, TimeoutError } = require('./errors');
-const { getWorkingProxy, markProxyBad, createProxyAgent, isProxyEnabled, isProxyAlways } = require('./proxy');
+const { ScrapingError, NetworkError, CircuitOpenError } = require('./errors');
+const { isSubtitleLanguageAllowed } = require('./settings');
+const { parseMasterPlaylist, hasDubAndOriginal } = require('./hls');
+const { getCache } = require('./cache');
+const { getSiteBase, getEmbedBase, noteEmbedUrl } = require('./domains');
+const { getText } = require('./http');
+const { signUrl } = require('./signing');
 
 const log = createLogger('Scraper');
 
-const BASE_URL = 'https://www.hdfilmcehennemi.ws';
-const EMBED_BASE = 'https://hdfilmcehennemi.mobi';
-
 // Configuration
 const CONFIG = {
-    timeout: 15000,        // 15 seconds
-    maxRetries: 3,         // Number of retry attempts per proxy
-    maxConcurrent: 5,      // Max concurrent requests
-    retryDelay: 1000,      // Base delay for exponential backoff (ms)
-    maxProxyAttempts: 5    // Max number of different proxies to try
-};
-
-const defaultHeaders = {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'tr-TR,tr;q=0.9,en;q=0.8',
+    tokenExpiryMargin: 60 * 1000 // Stop serving cached CDN URLs this long before their token expires (ms)
 };
 
-// Simple semaphore for rate limiting
-let activeRequests = 0;
-const requestQueue = [];
-
-/**
- * Acquire a slot for making a request (rate limiting)
- * @returns {Promise<void>}
- */
-function acquireSlot() {
-    return new Promise((resolve) => {
-        if (activeRequests < CONFIG.maxConcurrent) {
-            activeRequests++;
-            resolve();
-        } else {
-            requestQueue.push(resolve);
-        }
-    });
-}
-
-/**
- * Release a request slot
- */
-function releaseSlot() {
-    activeRequests--;
-    if (requestQueue.length > 0) {
-        activeRequests++;
-        const next = requestQueue.shift();
-        next();
-    }
-}
-
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Check if URL is an HDFilmCehennemi domain (needs proxy)
- * @param {string} url - URL to check
- * @returns {boolean}
- */
-function isHdfilmcehennemiUrl(url) {
-    return url.includes('hdfilmcehennemi.ws') || url.includes('hdfilmcehennemi.mobi');
-}
-
-/**
- * Try to fetch URL using a specific proxy with retries
- * Returns response text on success, null on failure
- * @param {string} url - URL to fetch
- * @param {{address: string, type: string}} proxy - Proxy object with address and type
- * @param {Object} headers - Request headers
- * @returns {Promise<string|null>} Response text or null if all retries failed
- */
-async function tryFetchWithProxy(url, proxy, headers) {
-    for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-        try {
-            await acquireSlot();
-            log.debug(`Fetch via proxy ${proxy.type}://${proxy.address} attempt ${attempt}/${CONFIG.maxRetries}: ${url}`);
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-            const dispatcher = createProxyAgent(proxy);
-
-            try {
-                const response = await fetch(url, {
-                    headers,
-                    signal: controller.signal,
-                    dispatcher
-                });
-                clearTimeout(timeoutId);
-
-                if (response.status === 403) {
-                    log.warn(`Proxy ${proxy.type}://${proxy.address} blocked by Cloudflare (403)`);
-                    return null; // Proxy is blocked, don't retry
-                }
-
-                if (!response.ok) {
-                    throw new NetworkError(
-                        `HTTP ${response.status}: ${response.statusText}`,
-                        url,
-                        response.status
-                    );
-                }
-
-                const text = await response.text();
-
-                // Verify not a Cloudflare challenge
-                if (text.includes('cf-browser-verification') ||
-                    text.includes('Just a moment')) {
-                    log.warn(`Proxy ${proxy.type}://${proxy.address} got Cloudflare challenge`);
-                    return null; // Proxy got blocked
-                }
-
-                log.info(`✅ Fetch via proxy success: ${url} (${text.length} bytes)`);
-                return text;
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
-
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                log.warn(`Proxy ${proxy.type}://${proxy.address} timeout on attempt ${attempt}`);
-            } else {
-                log.warn(`Proxy ${proxy.type}://${proxy.address} failed on attempt ${attempt}: ${error.message}`);
-            }
-
-            if (attempt < CONFIG.maxRetries) {
-                const delay = CONFIG.retryDelay * Math.pow(2, attempt - 1);
-                log.warn(`Proxy request failed, retrying in ${delay}ms...`);
-                await sleep(delay);
-            }
-
-        } finally {
-            releaseSlot();
-        }
-    }
-
-    return null; // All retries failed
-}
-
-/**
- * HTTP GET request with timeout, retry, and smart proxy fallback
- * @param {string} url - URL to fetch
- * @param {string} [referer] - Optional referer header
- * @returns {Promise<string>} Response body as text
- * @throws {NetworkError|TimeoutError}
- */
-async function httpGet(url, referer = null) {
-    const headers = { ...defaultHeaders };
-    if (referer) headers['Referer'] = referer;
-
-    let lastError = null;
-    let useProxy = isProxyAlways() && isHdfilmcehennemiUrl(url);
-
-    // Phase 1: Try direct connection (unless proxy is 'always')
-    if (!useProxy) {
-        for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-            try {
-                await acquireSlot();
-                log.debug(`HTTP GET direct (attempt ${attempt}/${CONFIG.maxRetries}): ${url}`);
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-
-                try {
-                    const response = await fetch(url, {
-                        headers,
-                        signal: controller.signal
-                    });
-                    clearTimeout(timeoutId);
-
-                    // Check for Cloudflare block (403)
-                    if (response.status === 403 && isHdfilmcehennemiUrl(url)) {
-                        log.warn(`Cloudflare block detected (403), will try proxy...`);
-                        useProxy = true;
-                        break;
-                    }
-
-                    if (!response.ok) {
-                        throw new NetworkError(
-                            `HTTP ${response.status}: ${response.statusText}`,
-                            url,
-                            response.status
-                        );
-                    }
-
-                    const text = await response.text();
-
-                    // Check for Cloudflare challenge page
-                    if (isHdfilmcehennemiUrl(url) &&
-                        (text.includes('cf-browser-verification') ||
-                            text.includes('Just a moment') ||
-                            text.includes('challenge-platform'))) {
-                        log.warn(`Cloudflare challenge detected, will try proxy...`);
-                        useProxy = true;
-                        break;
-                    }
-
-                    log.debug(`HTTP GET success: ${url} (${text.length} bytes)`);
-                    return text;
-
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-
-            } catch (error) {
-                lastError = error;
-
-                if (error.name === 'AbortError') {
-                    lastError = new TimeoutError(url, CONFIG.timeout);
-                } else if (!(error instanceof NetworkError)) {
-                    lastError = new NetworkError(error.message, url);
-                }
-
-                if (attempt < CONFIG.maxRetries) {
-                    const delay = CONFIG.retryDelay * Math.pow(2, attempt - 1);
-                    log.warn(`Request failed, retrying in ${delay}ms... (${error.message})`);
-                    await sleep(delay);
-                }
-
-            } finally {
-                releaseSlot();
-            }
-        }
-    }
-
-    // Phase 2: Try with proxies (only for hdfilmcehennemi URLs)
-    // Keep trying new proxies until success or max attempts reached
-    if (useProxy && isProxyEnabled() && isHdfilmcehennemiUrl(url)) {
-        log.info(`🔄 Proxy fallback activated for: ${url}`);
-
-        const triedProxies = new Set();
-
-        for (let proxyAttempt = 1; proxyAttempt <= CONFIG.maxProxyAttempts; proxyAttempt++) {
-            const proxy = await getWorkingProxy();
-
-            if (!proxy) {
-                log.warn(`No working proxy available (attempt ${proxyAttempt}/${CONFIG.maxProxyAttempts})`);
-                // Wait a bit before trying again to allow proxy refresh
-                if (proxyAttempt < CONFIG.maxProxyAttempts) {
-                    await sleep(2000);
-                }
-                continue;
-            }
-
-            // Skip if we already tried this proxy (compare by address)
-            if (triedProxies.has(proxy.address)) {
-                log.debug(`Skipping already-tried proxy: ${proxy.type}://${proxy.address}`);
-                markProxyBad(proxy); // Force getting a different one next time
-                continue;
-            }
-
-            triedProxies.add(proxy.address);
-            log.info(`📡 Trying proxy ${proxyAttempt}/${CONFIG.maxProxyAttempts}: ${proxy.type}://${proxy.address}`);
-
-            // Try this proxy with retries
-            const result = await tryFetchWithProxy(url, proxy, headers);
-            if (result) {
-                return result;
-            }
-
-            // Proxy failed, mark as bad and try next
-            log.warn(`Proxy ${proxy.type}://${proxy.address} failed after ${CONFIG.maxRetries} attempts, trying next proxy...`);
-            markProxyBad(proxy);
-        }
-
-        lastError = new NetworkError(
-            `All ${CONFIG.maxProxyAttempts} proxy attempts failed`,
-            url
-        );
-    }
-
-    log.error(`All attempts failed for: ${url}`);
-    throw lastError || new NetworkError('All attempts failed', url);
-}
+// Query parameters CDNs use for signed URL expiry (unix seconds or ms)
+const TOKEN_EXPIRY_PARAMS = ['expires', 'expire', 'exp', 'e', 'validto', 'valid_to'];
 
 /**
  * JavaScript packer unpacker
@@ -467,26 +199,27 @@ function decodeVideoUrl(parts) {
 /**
  * Scrape video and subtitle data from iframe URL
  * @param {string} iframeSrc - Iframe source URL
- * @returns {Promise<{videoUrl: string|null, subtitles: Array, audioTracks: Array}>}
+ * @returns {Promise<{videoUrl: string|null, subtitles: Array, audioTracks: Array, variants: Array}>}
  * @throws {ScrapingError|NetworkError}
  */
 async function scrapeIframe(iframeSrc) {
     log.debug(`Scraping iframe: ${iframeSrc}`);
 
-    const html = await httpGet(iframeSrc, BASE_URL);
+    const html = await getText(iframeSrc, { referer: getSiteBase() });
     const $ = cheerio.load(html);
 
     const result = {
         videoUrl: null,
         subtitles: [],
-        audioTracks: []
+        audioTracks: [],
+        variants: []
     };
 
     // Extract subtitles from <track> elements
     $('video track').each((i, el) => {
         const src = $(el).attr('src');
         if (src) {
-            const fullUrl = src.startsWith('http') ? src : EMBED_BASE + src;
+            const fullUrl = src.startsWith('http') ? src : getEmbedBase() + src;
             result.subtitles.push({
                 id: `hdfc-${$(el).attr('srclang') || i}`,
                 lang: $(el).attr('srclang') || 'unknown',
@@ -537,22 +270,16 @@ async function scrapeIframe(iframeSrc) {
         }
     }
 
-    // Extract audio tracks from m3u8
+    // Extract quality variants and audio tracks from the master m3u8
     if (result.videoUrl) {
         try {
-            const m3u8Content = await httpGet(result.videoUrl, iframeSrc);
-            const baseM3u8 = result.videoUrl.substring(0, result.videoUrl.lastIndexOf('/'));
-            const audioRegex = /#EXT-X-MEDIA:TYPE=AUDIO.*?NAME="([^"]+)".*?URI="([^"]+)"/g;
-            let match;
-
-            while ((match = audioRegex.exec(m3u8Content)) !== null) {
-                result.audioTracks.push({
-                    name: match[1],
-                    url: `${baseM3u8}/${match[2]}`
-                });
-            }
+            const m3u8Content = await getText(result.videoUrl, { referer: iframeSrc });
+            const { variants, audioTracks } = parseMasterPlaylist(m3u8Content, result.videoUrl);
+
+            result.variants = variants;
+            result.audioTracks = audioTracks;
 
-            log.debug(`Found ${result.audioTracks.length} audio tracks`);
+            log.debug(`Found ${variants.length} variants (${variants.map(v => v.height ? `${v.height}p` : '?').join(', ')}), ${audioTracks.length} audio tracks`);
         } catch (error) {
             log.warn(`Failed to fetch m3u8: ${error.message}`);
         }
@@ -565,18 +292,125 @@ async function scrapeIframe(iframeSrc) {
     return result;
 }
 
+/**
+ * Build the iframe URL for an alternative source
+ * @param {{name: string, videoId: string}} alt - Alternative source from the page
+ * @param {string} videoId - Embed video ID from the active iframe
+ * @returns {string} Iframe URL for the alternative
+ */
+function buildAlternativeIframeSrc(alt, videoId) {
+    if (alt.name.toLowerCase() === 'rapidrame') {
+        return `${getEmbedBase()}/video/embed/${videoId}/?rapidrame_id=${alt.videoId}`;
+    }
+    return `${getEmbedBase()}/video/embed/${videoId}/`;
+}
+
+/**
+ * Extract the embed origin from an iframe URL (used as Referer for playback)
+ * @param {string} url - Iframe URL
+ * @returns {string} Origin of the iframe, or the main site as fallback
+ */
+function getEmbedOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return getSiteBase(); // Fallback to main site
+    }
+}
+
+/**
+ * Get the expiry time of a signed CDN URL from its query string
+ * @param {string} url - Video or playlist URL
+ * @returns {number|null} Expiry as a ms timestamp, or null if the URL carries none
+ */
+function getTokenExpiry(url) {
+    let params;
+    try {
+        params = new URL(url).searchParams;
+    } catch {
+        return null;
+    }
+
+    for (const [name, value] of params) {
+        if (!TOKEN_EXPIRY_PARAMS.includes(name.toLowerCase()) || !/^\d{10,13}$/.test(value)) continue;
+        const timestamp = parseInt(value);
+        return value.length === 13 ? timestamp : timestamp * 1000;
+    }
+
+    return null;
+}
+
+/**
+ * How long an extraction result may be cached
+ * Capped by the earliest token expiry among its URLs so cached links never outlive their signature.
+ * @param {{sources: Array<{videoUrl: string, variants?: Array<{url: string}>}>}} result - Extraction result
+ * @param {number} maxTtl - Layer TTL (ms)
+ * @returns {number} TTL in ms (<= 0 means don't cache)
+ */
+function getVideoCacheTtl(result, maxTtl) {
+    const urls = result.sources.flatMap(source => [
+        source.videoUrl,
+        ...(source.variants || []).map(v => v.url)
+    ]);
+
+    const expiries = urls.map(getTokenExpiry).filter(Boolean);
+    if (expiries.length === 0) return maxTtl;
+
+    return Math.min(maxTtl, Math.min(...expiries) - CONFIG.tokenExpiryMargin - Date.now());
+}
+
 /**
  * Get video and subtitle data from a page URL
- * Implements fallback logic for alternative sources
+ * Resolves every source listed on the page (active iframe + alternatives) in parallel,
+ * so the user can switch sources from Stremio when one CDN stalls.
+ * 
+ * Sources are ordered: preferred source, active source, then page order.
+ * The top-level fields mirror the first working source for convenience.
  * 
  * @param {string} pageUrl - HDFilmCehennemi page URL
- * @returns {Promise<{videoUrl: string, subtitles: Array, audioTracks: Array, source?: string, alternativeSources: Array}|null>}
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.preferredSource='auto'] - Source to list first (e.g., 'rapidrame', 'close')
+ * @returns {Promise<{videoUrl: string, subtitles: Array, audioTracks: Array, source?: string, embedOrigin: string, sources: Array, alternativeSources: Array}>}
  * @throws {ScrapingError|NetworkError}
  */
-async function getVideoAndSubtitles(pageUrl) {
+async function getVideoAndSubtitles(pageUrl, options = {}) {
+    const preferredSource = (options.preferredSource || 'auto').toLowerCase();
+    const cache = getCache('video');
+    const key = `${pageUrl}|${preferredSource}`;
+
+    const cached = cache.get(key);
+    if (cached.hit) {
+        log.debug(`Video cache hit: ${key}${cached.negative ? ' (no video)' : ''}`);
+        if (cached.negative) {
+            throw new ScrapingError('Video URL çıkarılamadı', pageUrl, { cached: true });
+        }
+        return cached.value;
+    }
+
+    try {
+        const result = await extractVideoAndSubtitles(pageUrl, preferredSource);
+        cache.set(key, result, getVideoCacheTtl(result, cache.ttl));
+        return result;
+    } catch (error) {
+        // Only remember pages that really have no video - network trouble is retried
+        if (error instanceof ScrapingError && !(error.details && error.details.networkFailure)) {
+            cache.setNegative(key);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Extract video and subtitle data from a page URL (uncached)
+ * @param {string} pageUrl - HDFilmCehennemi page URL
+ * @param {string} preferredSource - Lowercase source name or 'auto'
+ * @returns {Promise<Object>} See getVideoAndSubtitles
+ * @throws {ScrapingError|NetworkError}
+ */
+async function extractVideoAndSubtitles(pageUrl, preferredSource) {
     log.info(`Fetching video from: ${pageUrl}`);
 
-    const html = await httpGet(pageUrl);
+    const html = await getText(pageUrl);
     const $ = cheerio.load(html);
 
     // Find iframe
@@ -589,6 +423,7 @@ async function getVideoAndSubtitles(pageUrl) {
     }
 
     log.debug(`Found iframe: ${iframeSrc}`);
+    noteEmbedUrl(iframeSrc);
 
     // Collect alternative sources
     const altSources = [];
@@ -602,112 +437,165 @@ async function getVideoAndSubtitles(pageUrl) {
 
     log.debug(`Found ${altSources.length} alternative sources`);
 
-    // Extract embed origin from iframe URL for Referer header
-    const getEmbedOrigin = (url) => {
-        try {
-            const parsed = new URL(url);
-            return parsed.origin;
-        } catch {
-            return BASE_URL; // Fallback to main site
+    // Build the list of iframes to resolve - active iframe first, then alternatives
+    const activeSource = altSources.find(s => s.active);
+    const candidates = [{ name: activeSource ? activeSource.name : null, iframeSrc, active: true }];
+
+    const videoIdMatch = iframeSrc.match(/embed\/([^\/\?]+)/);
+    if (videoIdMatch) {
+        for (const alt of altSources) {
+            if (alt.active) continue;
+            candidates.push({
+                name: alt.name,
+                iframeSrc: buildAlternativeIframeSrc(alt, videoIdMatch[1]),
+                active: false
+            });
         }
-    };
+    }
 
-    // Track which iframe source was actually used
-    let usedIframeSrc = iframeSrc;
+    // Same iframe listed twice (e.g., Close alternative of a Close embed) - resolve once
+    const uniqueCandidates = candidates.filter((c, i) =>
+        candidates.findIndex(other => other.iframeSrc === c.iframeSrc) === i
+    );
 
-    // Try active source
-    let result = null;
-    try {
-        result = await scrapeIframe(iframeSrc);
-    } catch (error) {
-        log.warn(`Primary source failed: ${error.message}`);
+    // Preferred source goes first, the rest keep their order
+    if (preferredSource !== 'auto') {
+        uniqueCandidates.sort((a, b) =>
+            Number((b.name || '').toLowerCase() === preferredSource) -
+            Number((a.name || '').toLowerCase() === preferredSource)
+        );
     }
 
-    // Fallback to alternative sources if video URL not found
-    if (!result || !result.videoUrl) {
-        log.info('Primary source failed, trying alternatives...');
+    log.debug(`Resolving ${uniqueCandidates.length} source(s) in parallel`);
 
-        const videoIdMatch = iframeSrc.match(/embed\/([^\/\?]+)/);
-        if (videoIdMatch) {
-            const videoId = videoIdMatch[1];
+    const settled = await Promise.allSettled(
+        uniqueCandidates.map(candidate => scrapeIframe(candidate.iframeSrc))
+    );
 
-            for (const alt of altSources) {
-                if (alt.active) continue;
+    const sources = [];
+    const seenVideoUrls = new Set();
 
-                log.debug(`Trying alternative: ${alt.name}`);
+    settled.forEach((outcome, i) => {
+        const candidate = uniqueCandidates[i];
+        const label = candidate.name || 'default';
 
-                let altIframeSrc = iframeSrc;
-                if (alt.name.toLowerCase() === 'rapidrame') {
-                    altIframeSrc = `${EMBED_BASE}/video/embed/${videoId}/?rapidrame_id=${alt.videoId}`;
-                } else {
-                    altIframeSrc = `${EMBED_BASE}/video/embed/${videoId}/`;
-                }
+        if (outcome.status === 'rejected') {
+            log.debug(`Source ${label} failed: ${outcome.reason.message}`);
+            return;
+        }
 
-                try {
-                    const altResult = await scrapeIframe(altIframeSrc);
-                    if (altResult && altResult.videoUrl) {
-                        result = altResult;
-                        result.source = alt.name;
-                        usedIframeSrc = altIframeSrc; // Track which iframe worked
-                        log.info(`Alternative source succeeded: ${alt.name}`);
-                        break;
-                    }
-                } catch (error) {
-                    log.debug(`Alternative ${alt.name} failed: ${error.message}`);
-                }
-            }
+        const scraped = outcome.value;
+        if (!scraped || !scraped.videoUrl) {
+            log.debug(`Source ${label} returned no video URL`);
+            return;
         }
-    } else {
-        const activeSource = altSources.find(s => s.active);
-        if (activeSource) {
-            result.source = activeSource.name;
+
+        if (seenVideoUrls.has(scraped.videoUrl)) return;
+        seenVideoUrls.add(scraped.videoUrl);
+
+        sources.push({
+            ...scraped,
+            source: candidate.name || undefined,
+            // Store the embed origin for Referer header - critical for Rapidrame playback
+            embedOrigin: getEmbedOrigin(candidate.iframeSrc)
+        });
+    });
+
+    if (sources.length === 0) {
+        // Embed host is down - say so instead of blaming the content
+        const circuitOpen = settled.find(o => o.status === 'rejected' && o.reason instanceof CircuitOpenError);
+        if (circuitOpen && settled.every(o => o.status === 'rejected')) {
+            throw circuitOpen.reason;
         }
-    }
 
-    if (!result || !result.videoUrl) {
-        throw new ScrapingError('Video URL çıkarılamadı', pageUrl);
+        const networkFailure = settled.every(o => o.status === 'rejected' && o.reason instanceof NetworkError);
+        throw new ScrapingError('Video URL çıkarılamadı', pageUrl, networkFailure ? { networkFailure } : null);
     }
 
-    result.alternativeSources = altSources;
-    // Store the embed origin for Referer header - critical for Rapidrame playback
-    result.embedOrigin = getEmbedOrigin(usedIframeSrc);
-    log.info(`Video extraction successful (source: ${result.source || 'default'}, embedOrigin: ${result.embedOrigin})`);
+    const result = {
+        ...sources[0],
+        sources,
+        alternativeSources: altSources
+    };
+
+    log.info(`Video extraction successful: ${sources.length}/${uniqueCandidates.length} source(s) (${sources.map(s => s.source || 'default').join(', ')})`);
 
     return result;
 }
 
 
 /**
- * Convert scraping result to Stremio stream format
- * Audio track selection is handled by Stremio player via m3u8
+ * Distinct quality variants of a source that can be offered as separate streams
+ * @param {Object} source - Source entry from getVideoAndSubtitles
+ * @param {number|null} maxQuality - Max allowed height from user settings
+ * @returns {Array<{height: number, bandwidth: number|null, codecs: string|null}>} Highest first, one per height
+ */
+function getQualityVariants(source, maxQuality) {
+    const seenHeights = new Set();
+
+    return (source.variants || []).filter(v => {
+        if (!v.height || seenHeights.has(v.height)) return false;
+        if (maxQuality && v.height > maxQuality) return false;
+        seenHeights.add(v.height);
+        return true;
+    });
+}
+
+// Stream labels for the audio choices
+const AUDIO_LABELS = {
+    dub: 'Dublaj',
+    original: 'Altyazılı'
+};
+
+/**
+ * Convert a single extracted source to a Stremio stream
  * 
- * @param {Object} result - Scraping result from getVideoAndSubtitles
- * @param {string} [title='HDFilmCehennemi'] - Stream title
- * @param {string} [baseUrl] - Base URL for m3u8 proxy (e.g., https://your-server.com)
- * @returns {{streams: Array}} Stremio-compatible stream response
+ * @param {Object} source - Source entry from getVideoAndSubtitles (videoUrl, subtitles, embedOrigin, source)
+ * @param {string} title - Stream title
+ * @param {string|null} baseUrl - Base URL for m3u8 proxy, null for direct CDN URLs
+ * @param {Object} settings - Per-install user settings
+ * @param {Object} [options] - Proxy-only playlist rewrites
+ * @param {{height: number, bandwidth: number|null}} [options.variant] - Quality to pin
+ * @param {'dub'|'original'} [options.audio] - Audio to mark as default
+ * @returns {Object} Stremio stream object
  */
-function toStremioStreams(result, title = 'HDFilmCehennemi', baseUrl = null) {
-    if (!result || !result.videoUrl) return { streams: [] };
+function toStremioStream(source, title, baseUrl, settings, options = {}) {
+    const { variant = null, audio = null } = options;
 
-    // Use the embed origin from scraping result, fallback to EMBED_BASE
+    // Use the embed origin from scraping result, fallback to the active embed mirror
     // Critical: Rapidrame videos need hdfilmcehennemi.ws as Referer
     //           Close videos need hdfilmcehennemi.mobi as Referer
-    const embedOrigin = result.embedOrigin || EMBED_BASE;
+    const embedOrigin = source.embedOrigin || getEmbedBase();
     const referer = embedOrigin + '/';
 
     // Generate proxied URL for TV compatibility (libVLC doesn't support proxyHeaders)
     // PC clients can still use behaviorHints.proxyHeaders
-    let streamUrl = result.videoUrl;
+    let streamUrl = source.videoUrl;
     if (baseUrl) {
-        const encodedUrl = Buffer.from(result.videoUrl).toString('base64');
+        const encodedUrl = Buffer.from(source.videoUrl).toString('base64');
         const encodedRef = Buffer.from(referer).toString('base64');
-        streamUrl = `${baseUrl}/proxy/m3u8?url=${encodedUrl}&ref=${encodedRef}`;
+        streamUrl = `${baseUrl}/proxy/m3u8?url=${encodedUrl}&ref=${encodedRef}&sig=${signUrl(source.videoUrl)}`;
+        if (variant) {
+            // Proxy serves a master playlist with only this variant
+            streamUrl += `&v=${variant.height}`;
+        } else if (settings.maxQuality) {
+            streamUrl += `&q=${settings.maxQuality}`;
+        }
+        if (audio) {
+            // Proxy marks this audio rendition as DEFAULT
+            streamUrl += `&a=${audio}`;
+        }
     }
 
     // Video server requires Referer header - returns 404 without it
     // This is for PC clients that support proxyHeaders
+    const bingeKey = [(source.source || 'default').toLowerCase(), variant ? `${variant.height}p` : null, audio]
+        .filter(Boolean)
+        .join('-');
     const behaviorHints = {
         notWebReady: true,
+        // Keep the same source, quality and audio when Stremio auto-plays the next episode
+        bingeGroup: `hdfc-${bingeKey}`,
         proxyHeaders: {
             request: {
                 'Referer': referer,
@@ -716,24 +604,81 @@ function toStremioStreams(result, title = 'HDFilmCehennemi', baseUrl = null) {
         }
     };
 
-    // Return single stream - audio tracks selectable via player from m3u8
+    const subtitles = (source.subtitles || []).filter(s => isSubtitleLanguageAllowed(s.lang, settings.subtitles));
+
+    // Labels: "Close 1080p Dublaj" in the name column, details in the title
+    const audioLabel = audio ? AUDIO_LABELS[audio] : null;
+    const label = [source.source, variant ? `${variant.height}p` : null, audioLabel].filter(Boolean).join(' ');
+    const details = [
+        source.source ? `📡 ${source.source}` : null,
+        variant ? `🎞️ ${variant.height}p` : null,
+        variant && variant.bandwidth ? `${(variant.bandwidth / 1000000).toFixed(1)} Mbps` : null,
+        audioLabel ? `🔊 ${audioLabel}` : null
+    ].filter(Boolean).join(' • ');
+
     return {
-        streams: [{
-            url: streamUrl,
-            title: title,
-            name: 'HDFilmCehennemi',
-            behaviorHints: behaviorHints,
-            subtitles: result.subtitles.map(s => ({
-                id: s.id,
-                url: s.url,
-                lang: s.lang,
-                label: s.label
-            }))
-        }]
+        url: streamUrl,
+        title: details ? `${title}\n${details}` : title,
+        name: label ? `HDFilmCehennemi\n${label}` : 'HDFilmCehennemi',
+        behaviorHints: behaviorHints,
+        subtitles: subtitles.map(s => ({
+            id: s.id,
+            url: s.url,
+            lang: s.lang,
+            label: s.label
+        }))
     };
 }
 
+/**
+ * Convert scraping result to Stremio stream format
+ * Per working source, when proxying:
+ *   - separate "Dublaj" and "Altyazılı" streams if the master playlist has both audios
+ *     (otherwise one adaptive stream), ordered by the user's audio preference
+ *   - per-quality streams (1080p/720p/...) if the master playlist offers several variants
+ * Direct CDN URLs can't be rewritten, so they get one stream per source.
+ * 
+ * @param {Object} result - Scraping result from getVideoAndSubtitles
+ * @param {string} [title='HDFilmCehennemi'] - Stream title
+ * @param {string} [baseUrl] - Base URL for m3u8 proxy (e.g., https://your-server.com), null for direct CDN URLs
+ * @param {Object} [settings] - Per-install user settings (see settings.js)
+ * @param {number|null} [settings.maxQuality] - Max variant height served by the m3u8 proxy
+ * @param {string} [settings.audio] - Preferred audio: 'auto', 'dub' or 'original'
+ * @param {string[]} [settings.subtitles] - Allowed subtitle languages (empty = all)
+ * @returns {{streams: Array}} Stremio-compatible stream response
+ */
+function toStremioStreams(result, title = 'HDFilmCehennemi', baseUrl = null, settings = {}) {
+    if (!result || !result.videoUrl) return { streams: [] };
+
+    // Older callers may pass a result without the per-source list
+    const sources = result.sources && result.sources.length > 0 ? result.sources : [result];
+    const preferredAudio = settings.audio && settings.audio !== 'auto' ? settings.audio : null;
+    const streams = [];
+
+    for (const source of sources) {
+        // Playlist rewrites need the m3u8 proxy
+        if (baseUrl && hasDubAndOriginal(source.audioTracks)) {
+            const audioOrder = preferredAudio === 'original' ? ['original', 'dub'] : ['dub', 'original'];
+            for (const audio of audioOrder) {
+                streams.push(toStremioStream(source, title, baseUrl, settings, { audio }));
+            }
+        } else {
+            streams.push(toStremioStream(source, title, baseUrl, settings, { audio: baseUrl ? preferredAudio : null }));
+        }
+
+        const qualities = baseUrl ? getQualityVariants(source, settings.maxQuality) : [];
+        if (qualities.length > 1) {
+            for (const variant of qualities) {
+                streams.push(toStremioStream(source, title, baseUrl, settings, { variant, audio: preferredAudio }));
+            }
+        }
+    }
+
+    return { streams };
+}
+
 module.exports = {
     getVideoAndSubtitles,
-    toStremioStreams
+    toStremioStreams,
+    getTokenExpiry
 };
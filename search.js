@@ -2,54 +2,24 @@
  * HDFilmCehennemi Search & Matching Module
  * 
  * Handles content discovery: IMDb ID → HDFilmCehennemi URL mapping
+ * (IMDb ID search first, title/year matching as fallback)
  * 
  * @module search
  */
 
-const { fetch } = require('undici');
 const cheerio = require('cheerio');
 const { createLogger } = require('./logger');
-const { ContentNotFoundError, NetworkError, ValidationError, TimeoutError } = require('./errors');
-const { getWorkingProxy, markProxyBad, createProxyAgent, isProxyEnabled, isProxyAlways } = require('./proxy');
+const { ContentNotFoundError, ValidationError, CircuitOpenError, RateLimitError } = require('./errors');
+const { ID_PREFIX, isContentId, isValidSlug, slugFromUrl, urlFromSlug, titleFromSlug } = require('./ids');
+const { getTitleInfo } = require('./metadata');
+const { pickBestMatch, rankResults, recordAmbiguousMatch } = require('./matching');
+const { getCache } = require('./cache');
+const { getMapping, recordResolution, mapSeason } = require('./mappings');
+const { getSiteBase, isSiteUrl } = require('./domains');
+const { getText } = require('./http');
 
 const log = createLogger('Search');
 
-const BASE_URL = 'https://www.hdfilmcehennemi.ws';
-
-// Configuration
-const CONFIG = {
-    timeout: 15000,        // 15 seconds
-    maxRetries: 3,         // Number of retry attempts per proxy
-    retryDelay: 1000,      // Base delay for exponential backoff (ms)
-    maxProxyAttempts: 5    // Max number of different proxies to try
-};
-
-
-
-const defaultHeaders = {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'tr-TR,tr;q=0.9,en;q=0.8',
-};
-
-/**
- * Sleep for specified milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Check if URL is an HDFilmCehennemi domain (needs proxy)
- * @param {string} url - URL to check
- * @returns {boolean}
- */
-function isHdfilmcehennemiUrl(url) {
-    return url.includes('hdfilmcehennemi.ws') || url.includes('hdfilmcehennemi.mobi');
-}
-
 /**
  * Validate IMDb ID format
  * @param {string} imdbId - IMDb ID to validate
@@ -72,299 +42,174 @@ function isValidEpisodeNumber(value) {
 
 
 /**
- * Try to fetch URL using a specific proxy with retries
- * @param {string} url - URL to fetch
- * @param {{address: string, type: string}} proxy - Proxy object with address and type
- * @param {Object} options - Fetch options
- * @returns {Promise<Response|null>} Response or null if all retries failed
+ * Parse the AJAX search response: a JSON object whose "results" are HTML snippets
+ * @param {Object} data - Parsed JSON response
+ * @returns {Array<{url: string, title: string, year: number|null, type: string, slug: string, poster: string|null}>}
  */
-async function tryFetchWithProxy(url, proxy, options) {
-    for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-        try {
-            log.debug(`Fetch via proxy ${proxy.type}://${proxy.address} attempt ${attempt}/${CONFIG.maxRetries}: ${url}`);
-
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-            const dispatcher = createProxyAgent(proxy);
-
-            try {
-                const response = await fetch(url, {
-                    ...options,
-                    signal: controller.signal,
-                    dispatcher
-                });
-                clearTimeout(timeoutId);
-
-                if (response.status === 403) {
-                    log.warn(`Proxy ${proxy.type}://${proxy.address} blocked by Cloudflare (403)`);
-                    return null; // Proxy is blocked, don't retry
-                }
-
-                if (!response.ok) {
-                    throw new NetworkError(
-                        `HTTP ${response.status}: ${response.statusText}`,
-                        url,
-                        response.status
-                    );
-                }
-
-                log.info(`✅ Fetch via proxy success: ${url}`);
-                return response;
-            } catch (error) {
-                clearTimeout(timeoutId);
-                throw error;
-            }
-
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                log.warn(`Proxy ${proxy.type}://${proxy.address} timeout on attempt ${attempt}`);
-            } else {
-                log.warn(`Proxy ${proxy.type}://${proxy.address} failed on attempt ${attempt}: ${error.message}`);
-            }
-
-            if (attempt < CONFIG.maxRetries) {
-                const delay = CONFIG.retryDelay * Math.pow(2, attempt - 1);
-                log.warn(`Proxy request failed, retrying in ${delay}ms...`);
-                await sleep(delay);
-            }
-        }
-    }
-
-    return null; // All retries failed
-}
-
-/**
- * HTTP GET with timeout, retry, and smart proxy fallback
- * Keeps trying new proxies until success or max attempts reached
- * @param {string} url - URL to fetch
- * @param {Object} [options] - Fetch options
- * @returns {Promise<Response>}
- */
-async function fetchWithRetry(url, options = {}) {
-    let lastError = null;
-    let useProxy = isProxyAlways() && isHdfilmcehennemiUrl(url);
-
-    // Phase 1: Try direct connection (unless proxy is 'always')
-    if (!useProxy) {
-        for (let attempt = 1; attempt <= CONFIG.maxRetries; attempt++) {
-            try {
-                log.debug(`Fetch direct attempt ${attempt}/${CONFIG.maxRetries}: ${url}`);
-
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), CONFIG.timeout);
-
-                try {
-                    const response = await fetch(url, {
-                        ...options,
-                        signal: controller.signal
-                    });
-                    clearTimeout(timeoutId);
-
-                    // Check for Cloudflare block (403)
-                    if (response.status === 403 && isHdfilmcehennemiUrl(url)) {
-                        log.warn(`Cloudflare block detected (403), will try proxy...`);
-                        useProxy = true;
-                        break;
-                    }
-
-                    if (!response.ok) {
-                        throw new NetworkError(
-                            `HTTP ${response.status}: ${response.statusText}`,
-                            url,
-                            response.status
-                        );
-                    }
-
-                    return response;
-                } catch (error) {
-                    clearTimeout(timeoutId);
-                    throw error;
-                }
-
-            } catch (error) {
-                lastError = error;
-
-                if (error.name === 'AbortError') {
-                    lastError = new TimeoutError(url, CONFIG.timeout);
-                } else if (!(error instanceof NetworkError)) {
-                    lastError = new NetworkError(error.message, url);
-                }
-
-                if (attempt < CONFIG.maxRetries) {
-                    const delay = CONFIG.retryDelay * Math.pow(2, attempt - 1);
-                    log.warn(`Request failed, retrying in ${delay}ms...`);
-                    await sleep(delay);
-                }
-            }
-        }
-    }
-
-    // Phase 2: Try with proxies (only for hdfilmcehennemi URLs)
-    // Keep trying new proxies until success or max attempts reached
-    if (useProxy && isProxyEnabled() && isHdfilmcehennemiUrl(url)) {
-        log.info(`🔄 Proxy fallback activated for: ${url}`);
-
-        const triedProxies = new Set();
-
-        for (let proxyAttempt = 1; proxyAttempt <= CONFIG.maxProxyAttempts; proxyAttempt++) {
-            const proxy = await getWorkingProxy();
-
-            if (!proxy) {
-                log.warn(`No working proxy available (attempt ${proxyAttempt}/${CONFIG.maxProxyAttempts})`);
-                // Wait a bit before trying again to allow proxy refresh
-                if (proxyAttempt < CONFIG.maxProxyAttempts) {
-                    await sleep(2000);
-                }
-                continue;
-            }
-
-            // Skip if we already tried this proxy (compare by address)
-            if (triedProxies.has(proxy.address)) {
-                log.debug(`Skipping already-tried proxy: ${proxy.type}://${proxy.address}`);
-                markProxyBad(proxy); // Force getting a different one next time
-                continue;
-            }
-
-            triedProxies.add(proxy.address);
-            log.info(`📡 Trying proxy ${proxyAttempt}/${CONFIG.maxProxyAttempts}: ${proxy.type}://${proxy.address}`);
-
-            const response = await tryFetchWithProxy(url, proxy, options);
-
-            if (response) {
-                return response; // Success!
-            }
-
-            // Proxy failed, mark as bad and try next
-            log.warn(`Proxy ${proxy.type}://${proxy.address} failed after ${CONFIG.maxRetries} attempts, trying next proxy...`);
-            markProxyBad(proxy);
+function parseSearchResults(data) {
+    const results = [];
+    if (!data.results || !Array.isArray(data.results)) return results;
+
+    for (const htmlStr of data.results) {
+        const $ = cheerio.load(htmlStr);
+        const link = $('a').attr('href');
+        const title = $('h4.title').text().trim() || $('img').attr('alt') || '';
+        const yearText = $('.year').text().trim();
+        const year = yearText ? parseInt(yearText) : null;
+        const type = $('.type').text().trim().toLowerCase();
+        const poster = $('img').attr('data-src') || $('img').attr('src') || null;
+
+        if (link && isSiteUrl(link)) {
+            results.push({
+                url: link,
+                title: title,
+                year: year,
+                type: type === 'dizi' ? 'series' : 'movie',
+                slug: slugFromUrl(link),
+                poster: poster && !poster.startsWith('data:') ? poster : null
+            });
         }
-
-        lastError = new NetworkError(
-            `All ${CONFIG.maxProxyAttempts} proxy attempts failed`,
-            url
-        );
     }
 
-    throw lastError || new NetworkError('All attempts failed', url);
+    return results;
 }
 
-
 /**
  * Search for content on HDFilmCehennemi
- * NOTE: Search results are NOT cached because even when results are returned,
- * the actual video extraction may fail. Fresh searches ensure retries work.
+ * NOTE: Raw search results are not cached - the resolved IMDb ID → page mapping is
+ * (see findContent), so a failed video extraction never poisons the search.
  * @param {string} query - Search query (IMDb ID or title)
- * @returns {Promise<Array<{url: string, title: string, year: number|null, type: string, slug: string}>>}
+ * @param {{throwOnError?: boolean}} [options] - Rethrow network errors instead of returning []
+ * @returns {Promise<Array<{url: string, title: string, year: number|null, type: string, slug: string, poster: string|null}>>}
  */
-async function searchOnSite(query) {
+async function searchOnSite(query, options = {}) {
     try {
         // AJAX search endpoint - uses ?q= parameter
-        const searchUrl = `${BASE_URL}/search/?q=${encodeURIComponent(query)}`;
+        const searchUrl = `${getSiteBase()}/search/?q=${encodeURIComponent(query)}`;
         log.info(`Searching: "${query}"`);
 
-        const response = await fetchWithRetry(searchUrl, {
+        const body = await getText(searchUrl, {
             headers: {
-                ...defaultHeaders,
                 'X-Requested-With': 'fetch',
                 'Accept': 'application/json'
             }
         });
 
-        const data = await response.json();
-        const results = [];
-
-        // Parse HTML snippets from JSON response
-        if (data.results && Array.isArray(data.results)) {
-            for (const htmlStr of data.results) {
-                const $ = cheerio.load(htmlStr);
-                const link = $('a').attr('href');
-                const title = $('h4.title').text().trim() || $('img').attr('alt') || '';
-                const yearText = $('.year').text().trim();
-                const year = yearText ? parseInt(yearText) : null;
-                const type = $('.type').text().trim().toLowerCase();
-
-                if (link && link.includes('hdfilmcehennemi')) {
-                    results.push({
-                        url: link,
-                        title: title,
-                        year: year,
-                        type: type === 'dizi' ? 'series' : 'movie',
-                        slug: link.replace(BASE_URL, '').replace(/\//g, '')
-                    });
-                }
-            }
-        }
+        const results = parseSearchResults(JSON.parse(body));
 
         log.info(`Search "${query}": ${results.length} results`);
         return results;
     } catch (error) {
         log.error(`Search failed: ${error.message}`);
+        if (options.throwOnError) throw error;
         return [];
     }
 }
 
 
 /**
- * Find episode URL from series page
- * NOTE: No caching here - caching happens at addon.js level on full success only
- * @param {string} seriesUrl - Series page URL
- * @param {number} season - Season number
- * @param {number} episode - Episode number
- * @returns {Promise<string|null>} Episode URL or null
+ * Parse episode links from a loaded series page
+ * Episodes are deduplicated and sorted by season, then episode
+ * @param {import('cheerio').CheerioAPI} $ - Loaded series page
+ * @returns {Array<{url: string, season: number, episode: number, title: string}>}
  */
-async function findEpisodeUrl(seriesUrl, season, episode) {
-    let episodes = [];
+function parseEpisodes($) {
+    const episodes = [];
+    const seen = new Set();
 
-    try {
-        log.debug(`Fetching episodes from: ${seriesUrl}`);
-        const response = await fetchWithRetry(seriesUrl, { headers: defaultHeaders });
-        const html = await response.text();
-        const $ = cheerio.load(html);
+    const addEpisode = (el, href, season, episode) => {
+        const key = `${season}:${episode}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const title = ($(el).find('h4').first().text() || $(el).attr('title') || $(el).text())
+            .replace(/\s+/g, ' ')
+            .trim();
 
-        // Find episode links
+        episodes.push({ url: href, season, episode, title });
+    };
+
+    // Find episode links
+    $('a').each((i, el) => {
+        const href = $(el).attr('href');
+        if (href && href.includes('-sezon-') && href.includes('-bolum')) {
+            // Extract season and episode from URL
+            const match = href.match(/(\d+)-sezon-(\d+)-bolum/);
+            if (match) {
+                addEpisode(el, href, parseInt(match[1]), parseInt(match[2]));
+            }
+        }
+    });
+
+    // Alternative format: sezon-X/bolum-Y
+    if (episodes.length === 0) {
         $('a').each((i, el) => {
             const href = $(el).attr('href');
-            if (href && href.includes('-sezon-') && href.includes('-bolum')) {
-                // Extract season and episode from URL
-                const match = href.match(/(\d+)-sezon-(\d+)-bolum/);
-                if (match) {
-                    episodes.push({
-                        url: href,
-                        season: parseInt(match[1]),
-                        episode: parseInt(match[2])
-                    });
+            if (href && (href.includes('sezon') || href.includes('bolum'))) {
+                const seasonMatch = href.match(/sezon[/-]?(\d+)/i);
+                const episodeMatch = href.match(/bolum[/-]?(\d+)/i);
+                if (seasonMatch && episodeMatch) {
+                    addEpisode(el, href, parseInt(seasonMatch[1]), parseInt(episodeMatch[1]));
                 }
             }
         });
+    }
 
-        // Alternative format: sezon-X/bolum-Y
-        if (episodes.length === 0) {
-            $('a').each((i, el) => {
-                const href = $(el).attr('href');
-                if (href && (href.includes('sezon') || href.includes('bolum'))) {
-                    const seasonMatch = href.match(/sezon[/-]?(\d+)/i);
-                    const episodeMatch = href.match(/bolum[/-]?(\d+)/i);
-                    if (seasonMatch && episodeMatch) {
-                        episodes.push({
-                            url: href,
-                            season: parseInt(seasonMatch[1]),
-                            episode: parseInt(episodeMatch[1])
-                        });
-                    }
-                }
-            });
+    return episodes.sort((a, b) => a.season - b.season || a.episode - b.episode);
+}
+
+/**
+ * Get the episode list of a series page (cached)
+ * Fetch failures are not cached so the next request retries. A cached list that
+ * can't answer the caller's lookup (e.g. a newly aired episode) is refetched once;
+ * if that fails, the cached list is returned.
+ * @param {string} seriesUrl - Series page URL
+ * @param {function(Array): boolean} [satisfies] - Trust a cached list only if it passes
+ * @returns {Promise<Array<{season: number, episode: number, url: string, title: string|null}>|null>}
+ *          Episodes, or null if the page couldn't be fetched
+ */
+async function getEpisodeList(seriesUrl, satisfies = null) {
+    const cache = getCache('episodes');
+    const cached = cache.get(seriesUrl);
+    const stale = cached.hit && !cached.negative ? cached.value : null;
+    if (stale) {
+        if (!satisfies || satisfies(stale)) {
+            log.debug(`Episode list cache hit: ${seriesUrl}`);
+            return stale;
         }
+        log.debug(`Cached episode list can't answer the lookup, refetching: ${seriesUrl}`);
+    }
+
+    try {
+        log.debug(`Fetching episodes from: ${seriesUrl}`);
+        const html = await getText(seriesUrl);
+        const episodes = parseEpisodes(cheerio.load(html));
 
         log.debug(`Found ${episodes.length} episodes`);
+        if (episodes.length > 0) {
+            cache.set(seriesUrl, episodes);
+        }
+        return episodes;
     } catch (error) {
         log.error(`Failed to get episodes: ${error.message}`);
-        return null;
+        return stale;
     }
+}
+
+/**
+ * Find episode URL from series page
+ * @param {string} seriesUrl - Series page URL
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {Promise<string|null>} Episode URL or null
+ */
+async function findEpisodeUrl(seriesUrl, season, episode) {
+    const isTarget = ep => ep.season === parseInt(season) && ep.episode === parseInt(episode);
+    const episodes = await getEpisodeList(seriesUrl, list => list.some(isTarget));
+    if (!episodes) return null;
 
     // Find requested episode
-    const targetEpisode = episodes.find(ep =>
-        ep.season === parseInt(season) && ep.episode === parseInt(episode)
-    );
+    const targetEpisode = episodes.find(isTarget);
 
     if (targetEpisode) {
         log.debug(`Found episode: S${season}E${episode} -> ${targetEpisode.url}`);
@@ -376,23 +221,169 @@ async function findEpisodeUrl(seriesUrl, season, episode) {
 }
 
 /**
- * Find HDFilmCehennemi URL for content by IMDb ID
+ * Pick the right result of an IMDb ID search
+ * Rejects results of the wrong type; if several remain, the release year from
+ * the metadata source decides. Unresolvable ties are logged and recorded.
+ * @param {'movie'|'series'} type - Content type
+ * @param {string} imdbId - IMDb ID that was searched
+ * @param {Array} results - Results of searchOnSite(imdbId)
+ * @returns {Promise<Object|null>} Chosen result or null if none has the right type
+ */
+async function pickImdbResult(type, imdbId, results) {
+    let ranking = rankResults(results, { type });
+
+    if (ranking.rejected > 0) {
+        log.debug(`Rejected ${ranking.rejected} ${type === 'movie' ? 'series' : 'movie'} result(s) for ${imdbId}`);
+    }
+
+    if (ranking.ranked.length === 0) {
+        log.warn(`IMDb search for ${imdbId} returned no ${type} results`);
+        return null;
+    }
+
+    let year = null;
+    if (ranking.ambiguous) {
+        const info = await getTitleInfo(type, imdbId);
+        year = info ? info.year : null;
+        if (year) {
+            ranking = rankResults(results, { type, year });
+        }
+    }
+
+    const chosen = ranking.ranked[0];
+
+    if (ranking.ambiguous) {
+        log.warn(`Ambiguous match for ${imdbId}: ${ranking.ranked.length} ${type} results, using ${chosen.url}`);
+        recordAmbiguousMatch({ query: imdbId, type, year, chosen, candidates: ranking.ranked });
+    }
+
+    return chosen;
+}
+
+/**
+ * Find content by title/year when the IMDb ID search misses
+ * Titles come from the metadata source; results are accepted only above the
+ * confidence threshold in matching.js, so a wrong page is never returned silently.
+ * @param {'movie'|'series'} type - Content type
+ * @param {string} imdbId - IMDb ID
+ * @returns {Promise<{url: string, title: string}|null>} Best match or null
+ * @throws {Error} If the metadata lookup or a title search fails
+ */
+async function findByTitle(type, imdbId) {
+    const info = await getTitleInfo(type, imdbId, { throwOnError: true });
+    if (!info) {
+        log.debug(`No title metadata for ${imdbId}, skipping title fallback`);
+        return null;
+    }
+
+    const titles = [...new Set([info.title, info.originalTitle].filter(Boolean))];
+    log.info(`Title fallback for ${imdbId}: ${titles.join(' / ')} (${info.year || '?'})`);
+
+    // Search each title variant, merging results by URL
+    const candidates = new Map();
+    for (const title of titles) {
+        const results = await searchOnSite(title, { throwOnError: true });
+        results.forEach(r => candidates.set(r.url, r));
+    }
+
+    const { match, score } = pickBestMatch([...candidates.values()], { titles, year: info.year, type });
+
+    if (match) {
+        log.info(`Found via title: ${match.title} (${match.year || '?'}) -> ${match.url} [score ${score.toFixed(2)}]`);
+    } else {
+        log.info(`No confident title match for ${imdbId} (${candidates.size} candidates, best score ${score.toFixed(2)})`);
+    }
+
+    return match;
+}
+
+/**
+ * Resolve an IMDb ID to a site page (cached, including misses)
+ * IMDb ID search first, then title/year matching. A miss is only cached when
+ * every lookup succeeded, so network errors don't hide content.
+ * @param {'movie'|'series'} type - Content type
+ * @param {string} imdbId - IMDb ID
+ * @returns {Promise<{url: string, title: string}|null>}
+ */
+async function resolveImdbId(type, imdbId) {
+    const cache = getCache('mapping');
+    const key = `${type}:${imdbId}`;
+    const cached = cache.get(key);
+    if (cached.hit) {
+        log.debug(`Mapping cache hit: ${key}${cached.negative ? ' (not found)' : ''}`);
+        return cached.negative ? null : cached.value;
+    }
+
+    let searchFailed = false;
+    const onSearchError = (error) => {
+        // The site is paused for everyone - fail now instead of caching a miss
+        if (error instanceof CircuitOpenError || error instanceof RateLimitError) throw error;
+        searchFailed = true;
+        return null;
+    };
+
+    // 1. Search by IMDb ID (most reliable)
+    log.debug(`Searching by IMDb ID: ${imdbId}`);
+    const imdbResults = await searchOnSite(imdbId, { throwOnError: true }).catch(onSearchError) || [];
+
+    let match = null;
+    if (imdbResults.length > 0) {
+        // IMDb search usually returns single exact match, but same-named
+        // movies and series share IMDb-like results - pick by type and year
+        match = await pickImdbResult(type, imdbId, imdbResults);
+        if (match) {
+            log.info(`Found via IMDb ID: ${match.title} -> ${match.url}`);
+        }
+    }
+
+    // 2. Title/year fallback - many site pages carry no IMDb ID
+    if (!match) {
+        match = await findByTitle(type, imdbId).catch(onSearchError);
+    }
+
+    if (!match) {
+        if (searchFailed) {
+            log.warn(`Not caching miss for ${key}: a lookup failed`);
+        } else {
+            cache.setNegative(key);
+        }
+        return null;
+    }
+
+    const mapping = { url: match.url, title: match.title };
+    cache.set(key, mapping);
+    recordResolution(imdbId, type, mapping);
+    return mapping;
+}
+
+/**
+ * Find HDFilmCehennemi URL for content by IMDb ID or site-native ID
+ * 
+ * Site-native IDs (hdfc:<slug>) already point at the page, so no search is needed.
+ * IMDb IDs are searched directly first, then by title/year as a fallback.
  * 
  * @param {'movie'|'series'} type - Content type
- * @param {string} imdbId - IMDb ID (e.g., tt0499549)
+ * @param {string} contentId - IMDb ID (e.g., tt0499549) or site-native ID (e.g., hdfc:dark)
  * @param {number} [season] - Season number (series only)
  * @param {number} [episode] - Episode number (series only)
  * @returns {Promise<{url: string, title: string, seriesTitle?: string}|null>}
  * @throws {ValidationError|ContentNotFoundError}
  */
-async function findContent(type, imdbId, season = null, episode = null) {
+async function findContent(type, contentId, season = null, episode = null) {
     // Input validation
-    if (!imdbId || typeof imdbId !== 'string') {
-        throw new ValidationError('IMDb ID gerekli', 'imdbId', imdbId);
+    if (!contentId || typeof contentId !== 'string') {
+        throw new ValidationError('IMDb ID gerekli', 'imdbId', contentId);
     }
 
-    if (!isValidImdbId(imdbId)) {
-        throw new ValidationError('Geçersiz IMDb ID formatı (örnek: tt1234567)', 'imdbId', imdbId);
+    const isNative = isContentId(contentId);
+    const slug = isNative ? contentId.slice(ID_PREFIX.length) : null;
+
+    if (isNative && !isValidSlug(slug)) {
+        throw new ValidationError('Geçersiz içerik ID formatı (örnek: hdfc:film-adi)', 'id', contentId);
+    }
+
+    if (!isNative && !isValidImdbId(contentId)) {
+        throw new ValidationError('Geçersiz IMDb ID formatı (örnek: tt1234567)', 'imdbId', contentId);
     }
 
     if (type !== 'movie' && type !== 'series') {
@@ -408,31 +399,42 @@ async function findContent(type, imdbId, season = null, episode = null) {
         }
     }
 
-    log.info(`Finding content: ${type} - ${imdbId}${season ? ` S${season}E${episode}` : ''}`);
+    log.info(`Finding content: ${type} - ${contentId}${season ? ` S${season}E${episode}` : ''}`);
 
     let match = null;
+    let siteSeason = season;
 
-    // 1. Search by IMDb ID (only method - most reliable)
-    log.debug(`Searching by IMDb ID: ${imdbId}`);
-    const imdbResults = await searchOnSite(imdbId);
+    if (isNative) {
+        // 1a. Site-native ID - the slug is the page path, skip the search round-trip
+        match = { url: urlFromSlug(slug), title: titleFromSlug(slug) };
+        log.debug(`Resolved site-native ID: ${contentId} -> ${match.url}`);
+    } else {
+        // 1b. IMDb ID - stored mapping (manual override or earlier resolution), then search
+        const stored = getMapping(contentId);
+        if (stored && stored.type === type) {
+            match = stored;
+            log.debug(`Stored ${stored.source} mapping: ${contentId} -> ${stored.url}`);
+        } else {
+            match = await resolveImdbId(type, contentId);
+        }
 
-    if (imdbResults.length > 0) {
-        // IMDb search usually returns single exact match
-        match = imdbResults[0];
-        log.info(`Found via IMDb ID: ${match.title} -> ${match.url}`);
+        // Some series pages number seasons differently from IMDb
+        if (season && stored && stored.type === type && stored.seasonOffset) {
+            siteSeason = mapSeason(stored, season);
+            log.debug(`Season offset ${stored.seasonOffset}: S${season} -> site S${siteSeason}`);
+        }
     }
 
-    // No title-based fallback - IMDb ID search only for accuracy
     if (!match) {
-        log.warn(`No match found for IMDb ID: ${imdbId}`);
-        throw new ContentNotFoundError(imdbId, { type, reason: 'not_found_on_site' });
+        log.warn(`No match found for IMDb ID: ${contentId}`);
+        throw new ContentNotFoundError(contentId, { type, reason: 'not_found_on_site' });
     }
 
     log.info(`Match found: ${match.title} -> ${match.url}`);
 
-    // 3. For series, find episode URL
+    // 2. For series, find episode URL
     if (type === 'series' && season && episode) {
-        const episodeUrl = await findEpisodeUrl(match.url, season, episode);
+        const episodeUrl = await findEpisodeUrl(match.url, siteSeason, episode);
         if (!episodeUrl) {
             throw new ContentNotFoundError(`${match.title} S${season}E${episode}`, {
                 type: 'episode',
@@ -453,8 +455,39 @@ async function findContent(type, imdbId, season = null, episode = null) {
     };
 }
 
+/**
+ * Find the episode that follows season:episode of a series
+ * Rolls over to the first episode of the next season. Uses the cached
+ * mapping and episode list, so it's cheap right after a stream request.
+ * @param {string} contentId - IMDb ID or site-native ID of the series
+ * @param {number|string} season - Season number (Stremio numbering)
+ * @param {number|string} episode - Episode number
+ * @returns {Promise<{season: number, episode: number}|null>} Next episode (Stremio numbering) or null if it's the last one
+ */
+async function findNextEpisode(contentId, season, episode) {
+    const series = await findContent('series', contentId);
+
+    // Episode lists use the site's season numbers
+    const stored = isContentId(contentId) ? null : getMapping(contentId);
+    const offset = stored && stored.type === 'series' ? stored.seasonOffset || 0 : 0;
+    const siteSeason = parseInt(season) + offset;
+
+    // A cached list ending at this episode may predate the next one airing
+    const indexIn = list => list.findIndex(ep => ep.season === siteSeason && ep.episode === parseInt(episode));
+    const episodes = await getEpisodeList(series.url, list => indexIn(list) >= 0 && indexIn(list) < list.length - 1);
+    if (!episodes) return null;
+
+    const index = indexIn(episodes);
+    const next = index >= 0 ? episodes[index + 1] : null;
+
+    return next ? { season: next.season - offset, episode: next.episode } : null;
+}
+
 module.exports = {
     findContent,
+    findNextEpisode,
     searchOnSite,
+    parseSearchResults,
+    parseEpisodes,
     isValidImdbId
 };
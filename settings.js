@@ -0,0 +1,120 @@
+/**
+ * HDFilmCehennemi Stremio Addon - User Settings Module
+ *
+ * Per-install settings carried in the manifest URL (/{config}/manifest.json).
+ * The Stremio SDK parses the JSON config segment and passes it to every handler;
+ * this module validates it and fills in defaults.
+ *
+ * @module settings
+ */
+
+// Setting definitions - also rendered on the /configure page by the SDK
+const SETTINGS = [
+    {
+        key: 'source',
+        type: 'select',
+        title: 'Tercih edilen kaynak',
+        options: ['auto', 'rapidrame', 'close'],
+        default: 'auto'
+    },
+    {
+        key: 'streamMode',
+        type: 'select',
+        title: 'Video bağlantısı (proxy: TV uyumlu, direct: doğrudan CDN)',
+        options: ['proxy', 'direct'],
+        default: 'proxy'
+    },
+    {
+        key: 'audio',
+        type: 'select',
+        title: 'Ses tercihi (dub: Türkçe dublaj, original: orijinal ses)',
+        options: ['auto', 'dub', 'original'],
+        default: 'auto'
+    },
+    {
+        key: 'maxQuality',
+        type: 'select',
+        title: 'Maksimum kalite',
+        options: ['auto', '1080', '720', '480'],
+        default: 'auto'
+    },
+    {
+        key: 'subtitles',
+        type: 'text',
+        title: 'Altyazı dilleri (virgülle ayrılmış, örn: tr,en - boş: hepsi)',
+        default: ''
+    }
+];
+
+// Two-letter and three-letter codes used for the same subtitle language
+const LANGUAGE_ALIASES = {
+    tr: 'tur', tur: 'tr',
+    en: 'eng', eng: 'en'
+};
+
+/**
+ * Get the setting definitions for manifest.config
+ * @returns {Array<{key: string, type: string, title: string, options?: string[], default: string}>}
+ */
+function getManifestConfig() {
+    return SETTINGS.map(setting => ({ ...setting }));
+}
+
+/**
+ * Parse a comma separated language list
+ * @param {string} value - e.g. "tr, en"
+ * @returns {string[]} Lowercase language codes (empty = all languages)
+ */
+function parseLanguages(value) {
+    return String(value || '')
+        .split(',')
+        .map(lang => lang.trim().toLowerCase())
+        .filter(lang => /^[a-z]{2,3}$/.test(lang));
+}
+
+/**
+ * Validate user config from the manifest URL and fill in defaults
+ * Unknown keys are dropped and invalid values fall back to the default,
+ * so a broken or outdated install URL never breaks playback.
+ * @param {Object|false|undefined} config - Config parsed by the SDK
+ * @returns {{source: string, streamMode: string, audio: string, maxQuality: number|null, subtitles: string[]}}
+ */
+function normalizeSettings(config) {
+    const raw = config && typeof config === 'object' ? config : {};
+    const values = {};
+
+    for (const setting of SETTINGS) {
+        const value = raw[setting.key];
+        if (setting.options) {
+            values[setting.key] = setting.options.includes(value) ? value : setting.default;
+        } else {
+            values[setting.key] = typeof value === 'string' ? value : setting.default;
+        }
+    }
+
+    return {
+        source: values.source,
+        streamMode: values.streamMode,
+        audio: values.audio,
+        maxQuality: values.maxQuality === 'auto' ? null : parseInt(values.maxQuality),
+        subtitles: parseLanguages(values.subtitles)
+    };
+}
+
+/**
+ * Check if a subtitle language is allowed by the user's settings
+ * @param {string} lang - Subtitle language code from the site
+ * @param {string[]} languages - Allowed languages (empty = all)
+ * @returns {boolean}
+ */
+function isSubtitleLanguageAllowed(lang, languages) {
+    if (!languages || languages.length === 0) return true;
+    const code = String(lang || '').toLowerCase();
+    return languages.includes(code) || languages.includes(LANGUAGE_ALIASES[code]);
+}
+
+module.exports = {
+    getManifestConfig,
+    normalizeSettings,
+    isSubtitleLanguageAllowed
+};
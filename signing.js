@@ -0,0 +1,46 @@
+/**
+ * HDFilmCehennemi Stremio Addon - URL Signing Module
+ *
+ * Signs the upstream URLs the addon hands out through /proxy/*, so the proxy
+ * routes can tell URLs they produced from arbitrary ones. Only signed URLs may
+ * use the operator's proxies; anything else is relayed directly or not at all.
+ *
+ * Signatures are an HMAC of the upstream URL. Set PROXY_URL_SECRET to keep
+ * them valid across restarts; otherwise a random secret is used per process.
+ *
+ * @module signing
+ */
+
+const crypto = require('crypto');
+
+// Configuration
+const CONFIG = {
+    secret: process.env.PROXY_URL_SECRET || crypto.randomBytes(32).toString('hex'),
+    length: 22 // Signature characters kept (base64url, ~128 bits)
+};
+
+/**
+ * Sign an upstream URL
+ * @param {string} url - Upstream URL
+ * @returns {string} Signature (URL-safe)
+ */
+function signUrl(url) {
+    return crypto.createHmac('sha256', CONFIG.secret).update(url).digest('base64url').slice(0, CONFIG.length);
+}
+
+/**
+ * Check the signature of an upstream URL in constant time
+ * @param {string} url - Upstream URL
+ * @param {*} signature - Signature from the query
+ * @returns {boolean}
+ */
+function isSignedUrl(url, signature) {
+    const expected = Buffer.from(signUrl(url));
+    const actual = Buffer.from(String(signature || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+    signUrl,
+    isSignedUrl
+};
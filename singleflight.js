@@ -0,0 +1,70 @@
+/**
+ * HDFilmCehennemi Stremio Addon - Single-Flight Module
+ *
+ * Coalesces concurrent calls with the same key: while a call is in flight,
+ * later callers get the same promise (and so the same result or error)
+ * instead of starting the work again. Nothing is kept once it settles -
+ * caching finished results is the cache module's job.
+ *
+ * @module singleflight
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('SingleFlight');
+
+/**
+ * A group of in-flight calls sharing one key namespace
+ */
+class SingleFlight {
+    /**
+     * @param {string} name - Group name (for logs and stats)
+     */
+    constructor(name) {
+        this.name = name;
+        this.inflight = new Map();
+        this.stats = { calls: 0, shared: 0 };
+    }
+
+    /**
+     * Run fn, or join the call already in flight for the same key
+     * @template T
+     * @param {string} key - Coalescing key
+     * @param {function(): Promise<T>} fn - Work to run if nothing is in flight
+     * @returns {Promise<T>}
+     */
+    run(key, fn) {
+        this.stats.calls++;
+
+        const pending = this.inflight.get(key);
+        if (pending) {
+            this.stats.shared++;
+            log.debug(`[${this.name}] Joining in-flight call: ${key}`);
+            return pending;
+        }
+
+        const promise = (async () => {
+            try {
+                return await fn();
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+}
+
+/**
+ * Create a single-flight group
+ * @param {string} name - Group name (for logs and stats)
+ * @returns {SingleFlight}
+ */
+function createSingleFlight(name) {
+    return new SingleFlight(name);
+}
+
+module.exports = {
+    createSingleFlight
+};